@@ -1,753 +1,1420 @@
-class Graph {
-    constructor() {
-        this.vertices = [];
-        this.edges = [];
-        this.periphery = [];
-        this.selectedVertices = [];
-        this.segmentVertices = [];
-        this.hoveredVertex = -1;
-        this.manualMode = false;
-        this.showIndices = false;
-        this.maxVertexId = 0;
-        this.vertexRadius = 15;
-        
-        // Initialize with basic triangle
-        this.initializeTriangle();
+// Browser UI for the graph drawing app; expects graph-core.js (Graph and friends) to be loaded first
+
+// UNDO/REDO HISTORY - one snapshot per user-level graph mutation
+class GraphHistory {
+    constructor(graph, limit = 100) {
+        this.graph = graph;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.depth = 0;
     }
-    
-    initializeTriangle() {
-        this.vertices = [
-            { x: 0, y: -100, visible: true, id: 1 },
-            { x: -87, y: 50, visible: true, id: 2 },
-            { x: 87, y: 50, visible: true, id: 3 }
-        ];
-        this.edges = [[0, 1], [1, 2], [2, 0]];
-        this.periphery = [0, 1, 2];
-        this.selectedVertices = [];
-        this.segmentVertices = [];
-        this.hoveredVertex = -1;
-        this.maxVertexId = 3;
+
+    capture() {
+        return this.graph.createSnapshot();
     }
-    
-    // ROBUST CCW INTERSECTION TEST - Most critical method
-    segmentsIntersect(p1, p2, p3, p4) {
-        // CCW orientation test - returns true if A->B->C is counter-clockwise
-        function ccw(A, B, C) {
-            return (C.y - A.y) * (B.x - A.x) > (B.y - A.y) * (C.x - A.x);
+
+    // Record the state from before a mutation that has already been applied
+    commit(label, snapshot) {
+        this.undoStack.push({ label, snapshot });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
         }
-        
-        // Two segments intersect if:
-        // 1. Endpoints of first segment are on opposite sides of second segment AND
-        // 2. Endpoints of second segment are on opposite sides of first segment
-        return (ccw(p1, p3, p4) !== ccw(p2, p3, p4)) && 
-               (ccw(p1, p2, p3) !== ccw(p1, p2, p4));
+        this.redoStack = [];
     }
-    
-    // Check if two edges share a vertex (allowed intersection)
-    edgesShareVertex(edge1, edge2) {
-        if (!edge1.start || !edge1.end || !edge2.start || !edge2.end) return false;
-        
-        // For edges with positions, check if any vertex positions match
-        const tolerance = 0.001;
-        return (
-            this.distance(edge1.start, edge2.start) < tolerance ||
-            this.distance(edge1.start, edge2.end) < tolerance ||
-            this.distance(edge1.end, edge2.start) < tolerance ||
-            this.distance(edge1.end, edge2.end) < tolerance
-        );
+
+    // Run a mutation as a single undo step. Nested transactions fold into the outer one,
+    // and results reporting success: false are not recorded.
+    transaction(label, mutate) {
+        if (this.depth > 0) return mutate();
+
+        const before = this.capture();
+        this.depth++;
+        let result;
+        try {
+            result = mutate();
+        } finally {
+            this.depth--;
+        }
+
+        if (!result || result.success !== false) {
+            this.commit(label, before);
+        }
+        return result;
     }
-    
-    // COMPREHENSIVE EDGE VALIDATION SYSTEM
-    validateNewEdges(newVertexPos, segmentVertices) {
-        const newEdges = segmentVertices.map(vIdx => ({
-            start: newVertexPos,
-            end: this.vertices[vIdx]
-        }));
-        
-        // Check EVERY new edge against EVERY existing edge
-        for (const newEdge of newEdges) {
-            for (const existingEdge of this.edges) {
-                const v1 = this.vertices[existingEdge[0]];
-                const v2 = this.vertices[existingEdge[1]];
-                
-                if (!v1.visible || !v2.visible) continue;
-                
-                // Skip if edges share a vertex (allowed intersection)
-                const existingEdgeObj = { start: v1, end: v2 };
-                if (this.edgesShareVertex(newEdge, existingEdgeObj)) continue;
-                
-                // CRITICAL: Test for intersection
-                if (this.segmentsIntersect(newEdge.start, newEdge.end, v1, v2)) {
-                    return {
-                        valid: false,
-                        message: `New edge would intersect existing edge V${v1.id}-V${v2.id}`,
-                        intersectingEdge: `V${v1.id}-V${v2.id}`
-                    };
-                }
-            }
-            
-            // Also check new edges against each other
-            for (const otherNewEdge of newEdges) {
-                if (newEdge === otherNewEdge) continue;
-                if (!this.edgesShareVertex(newEdge, otherNewEdge) && 
-                    this.segmentsIntersect(newEdge.start, newEdge.end, otherNewEdge.start, otherNewEdge.end)) {
-                    return {
-                        valid: false,
-                        message: 'New edges would intersect each other'
-                    };
-                }
+
+    undo() {
+        if (!this.canUndo()) return null;
+        const entry = this.undoStack.pop();
+        this.redoStack.push({ label: entry.label, snapshot: this.capture() });
+        this.graph.restoreSnapshot(entry.snapshot);
+        return entry.label;
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+        const entry = this.redoStack.pop();
+        this.undoStack.push({ label: entry.label, snapshot: this.capture() });
+        this.graph.restoreSnapshot(entry.snapshot);
+        return entry.label;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// SESSION FILES - versioned JSON documents holding the graph and the view
+const SESSION_FORMAT = 'enhanced-segment-graph';
+const SESSION_VERSION = 1;
+
+class GraphSession {
+    static serialize(graph, renderer) {
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            savedAt: new Date().toISOString(),
+            graph: {
+                vertices: graph.vertices.map(v => ({ id: v.id, x: v.x, y: v.y, visible: v.visible })),
+                edges: graph.edges.map(([i, j]) => [i, j]),
+                periphery: [...graph.periphery],
+                maxVertexId: graph.maxVertexId,
+                construction: {
+                    fromTriangle: graph.constructionFromTriangle,
+                    steps: graph.constructionSteps.map(step => [...step])
+                },
+                random: graph.random.getState()
+            },
+            view: {
+                zoom: renderer.zoom,
+                panX: renderer.panX,
+                panY: renderer.panY
             }
+        };
+    }
+
+    // Parse and fully validate a session document without touching the live graph
+    static parse(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        } catch (err) {
+            return { success: false, message: `File is not valid JSON: ${err.message}` };
         }
-        
-        return { valid: true };
+
+        const check = GraphSession.validate(doc);
+        if (!check.valid) {
+            return { success: false, message: check.message };
+        }
+        return { success: true, session: doc };
     }
-    
-    // ENHANCED POSITION FINDING WITH INTERSECTION AVOIDANCE
-    findNonIntersectingPosition(segmentVertices) {
-        const centroid = this.calculateCentroid(segmentVertices);
-        const graphCenter = this.calculateGraphCenter();
-        
-        // Base direction outward from graph
-        let direction = this.normalizeVector({
-            x: centroid.x - graphCenter.x,
-            y: centroid.y - graphCenter.y
-        });
-        
-        // Try more distances and angles for robustness
-        const baseDistance = 80;
-        const maxAttempts = 900; // Increased attempts
-        const angleSteps = 24; // More directions
-
-        for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            // Vary both distance and angle
-            const distance = baseDistance + (attempt * 10);
-            const angleOffset = (attempt % angleSteps) * (2 * Math.PI / angleSteps);
-
-            const testDirection = {
-                x: direction.x * Math.cos(angleOffset) - direction.y * Math.sin(angleOffset),
-                y: direction.x * Math.sin(angleOffset) + direction.y * Math.cos(angleOffset)
-            };
 
-            const candidate = {
-                x: centroid.x + testDirection.x * distance,
-                y: centroid.y + testDirection.y * distance
-            };
+    static validate(doc) {
+        const fail = message => ({ valid: false, message });
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isIndex = (value, length) => Number.isInteger(value) && value >= 0 && value < length;
 
-            // First check basic constraints (vertex/edge overlaps)
-            const basicValidation = this.validateBasicPosition(candidate);
-            if (!basicValidation.valid) continue;
+        if (!doc || typeof doc !== 'object' || doc.format !== SESSION_FORMAT) {
+            return fail('Not a graph session file (missing or wrong "format")');
+        }
+        if (!Number.isInteger(doc.version) || doc.version < 1) {
+            return fail('Session file has no valid "version"');
+        }
+        if (doc.version > SESSION_VERSION) {
+            return fail(`Session version ${doc.version} is newer than supported version ${SESSION_VERSION}`);
+        }
 
-            // CRITICAL: Check if this position would cause edge intersections
-            const intersectionCheck = this.validateNewEdges(candidate, segmentVertices);
-            if (intersectionCheck.valid) {
-                return candidate;
+        const graph = doc.graph;
+        if (!graph || !Array.isArray(graph.vertices) || !Array.isArray(graph.edges) || !Array.isArray(graph.periphery)) {
+            return fail('Session is missing graph vertices, edges or periphery');
+        }
+
+        const n = graph.vertices.length;
+        if (n < 3) return fail('Graph must contain at least 3 vertices');
+
+        const ids = new Set();
+        for (let i = 0; i < n; i++) {
+            const v = graph.vertices[i];
+            if (!v || !isNumber(v.x) || !isNumber(v.y)) {
+                return fail(`Vertex at index ${i} has no valid position`);
+            }
+            if (!Number.isInteger(v.id) || v.id < 1) {
+                return fail(`Vertex at index ${i} has invalid id ${JSON.stringify(v.id)}`);
             }
+            if (ids.has(v.id)) return fail(`Duplicate vertex id V${v.id}`);
+            if (typeof v.visible !== 'boolean') {
+                return fail(`Vertex V${v.id} has no visibility flag`);
+            }
+            ids.add(v.id);
         }
 
-        // As a last resort, try random positions around the centroid
-        for (let attempt = 0; attempt < 50; attempt++) {
-            const angle = Math.random() * 2 * Math.PI;
-            const distance = baseDistance + 100 + Math.random() * 200;
-            const candidate = {
-                x: centroid.x + Math.cos(angle) * distance,
-                y: centroid.y + Math.sin(angle) * distance
-            };
-            const basicValidation = this.validateBasicPosition(candidate);
-            if (!basicValidation.valid) continue;
-            const intersectionCheck = this.validateNewEdges(candidate, segmentVertices);
-            if (intersectionCheck.valid) {
-                return candidate;
+        const edgeKeys = new Set();
+        for (let k = 0; k < graph.edges.length; k++) {
+            const edge = graph.edges[k];
+            if (!Array.isArray(edge) || edge.length !== 2 || !isIndex(edge[0], n) || !isIndex(edge[1], n)) {
+                return fail(`Edge #${k} refers to a vertex index out of range`);
             }
+            if (edge[0] === edge[1]) return fail(`Edge #${k} is a self-loop`);
+            const key = Math.min(edge[0], edge[1]) + ',' + Math.max(edge[0], edge[1]);
+            if (edgeKeys.has(key)) return fail(`Edge #${k} is a duplicate`);
+            edgeKeys.add(key);
         }
 
-        return null; // No valid position found
-    }
-    
-    calculateCentroid(segmentVertices) {
-        let cx = 0, cy = 0;
-        for (const vIdx of segmentVertices) {
-            const vertex = this.vertices[vIdx];
-            cx += vertex.x;
-            cy += vertex.y;
+        if (graph.periphery.length < 3) return fail('Periphery must contain at least 3 vertices');
+        const seen = new Set();
+        for (const idx of graph.periphery) {
+            if (!isIndex(idx, n)) return fail(`Periphery refers to missing vertex index ${JSON.stringify(idx)}`);
+            if (seen.has(idx)) return fail(`Periphery lists V${graph.vertices[idx].id} twice`);
+            seen.add(idx);
         }
-        return { x: cx / segmentVertices.length, y: cy / segmentVertices.length };
-    }
-    
-    calculateGraphCenter() {
-        let gx = 0, gy = 0;
-        const visibleVertices = this.vertices.filter(v => v.visible);
-        for (const vertex of visibleVertices) {
-            gx += vertex.x;
-            gy += vertex.y;
+
+        const highestId = Math.max(...graph.vertices.map(v => v.id));
+        if (!Number.isInteger(graph.maxVertexId) || graph.maxVertexId < highestId) {
+            return fail(`maxVertexId must be an integer of at least ${highestId}`);
         }
-        return { x: gx / visibleVertices.length, y: gy / visibleVertices.length };
-    }
-    
-    normalizeVector(vector) {
-        const len = Math.sqrt(vector.x * vector.x + vector.y * vector.y);
-        if (len === 0) return { x: 1, y: 0 }; // Default direction
-        return { x: vector.x / len, y: vector.y / len };
-    }
-    
-    // MULTI-LAYER VALIDATION SYSTEM
-    validateBasicPosition(candidate) {
-        // Layer 1: Geometric Constraints
-        
-        // Minimum vertex-vertex distance: 50px (increased from 44px)
-        for (let i = 0; i < this.vertices.length; i++) {
-            if (!this.vertices[i].visible) continue;
-            const dist = this.distance(candidate, this.vertices[i]);
-            if (dist < 50) {
-                return { 
-                    valid: false, 
-                    message: "New vertex would be too close to existing vertex" 
-                };
+
+        // Optional construction sequence: [newId, ...path ids] per step
+        const construction = graph.construction;
+        if (construction !== undefined) {
+            if (!construction || typeof construction.fromTriangle !== 'boolean' || !Array.isArray(construction.steps)) {
+                return fail('Construction record must have a boolean fromTriangle and a steps list');
             }
+            const badStep = construction.steps.findIndex(step =>
+                !Array.isArray(step) || step.length < 3 || !step.every(id => Number.isInteger(id) && id >= 1));
+            if (badStep !== -1) return fail(`Construction step #${badStep} is not a list of vertex ids`);
         }
-        
-        // Minimum vertex-edge distance: 30px (increased from 22px)
-        for (const [i, j] of this.edges) {
-            if (!this.vertices[i].visible || !this.vertices[j].visible) continue;
-            const dist = this.pointToLineDistance(candidate, this.vertices[i], this.vertices[j]);
-            if (dist < 30) {
-                return { 
-                    valid: false, 
-                    message: "New vertex too close to existing edge" 
-                };
+
+        // Optional random generator seed and position in its sequence
+        const random = graph.random;
+        const isUint32 = value => Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+        if (random !== undefined && (!random || !isUint32(random.seed) || !isUint32(random.state))) {
+            return fail('Random seed and state must be 32-bit unsigned integers');
+        }
+
+        const view = doc.view;
+        if (view !== undefined) {
+            if (!view || !isNumber(view.zoom) || view.zoom <= 0 || !isNumber(view.panX) || !isNumber(view.panY)) {
+                return fail('Session view must have a positive zoom and numeric panX/panY');
             }
         }
-        
-        // Outside placement: Must be outside convex hull with margin
-        if (!this.isOutsideGraph(candidate.x, candidate.y, 40)) {
-            return { 
-                valid: false, 
-                message: "Vertex must be placed outside current graph with sufficient margin" 
-            };
+
+        // Finally the drawing itself must be planar
+        const probe = new Graph();
+        GraphSession.applyGraph(graph, probe);
+        const integrityCheck = probe.validateGraphIntegrity();
+        if (!integrityCheck.valid) {
+            return fail(`Rejected: ${integrityCheck.message}`);
         }
-        
+
         return { valid: true };
     }
-    
-    // STRESS TESTING SYSTEM - Validate graph integrity
-    validateGraphIntegrity() {
-        // Check all edge pairs for intersections
-        for (let i = 0; i < this.edges.length; i++) {
-            for (let j = i + 1; j < this.edges.length; j++) {
-                const edge1 = this.edges[i];
-                const edge2 = this.edges[j];
-                
-                // Skip if edges share a vertex
-                if (edge1[0] === edge2[0] || edge1[0] === edge2[1] || 
-                    edge1[1] === edge2[0] || edge1[1] === edge2[1]) continue;
-                
-                const v1 = this.vertices[edge1[0]];
-                const v2 = this.vertices[edge1[1]];
-                const v3 = this.vertices[edge2[0]];
-                const v4 = this.vertices[edge2[1]];
-                
-                if (!v1.visible || !v2.visible || !v3.visible || !v4.visible) continue;
-                
-                if (this.segmentsIntersect(v1, v2, v3, v4)) {
-                    console.error('GRAPH INTEGRITY VIOLATION: Crossing detected!');
-                    return {
-                        valid: false,
-                        message: `Graph integrity error - crossing between V${v1.id}-V${v2.id} and V${v3.id}-V${v4.id}!`
-                    };
-                }
-            }
+
+    static applyGraph(graphData, graph) {
+        graph.restoreSnapshot({
+            vertices: graphData.vertices.map(v => ({ x: v.x, y: v.y, visible: v.visible, id: v.id })),
+            edges: graphData.edges,
+            periphery: graphData.periphery,
+            maxVertexId: graphData.maxVertexId,
+            selectedVertices: [],
+            segmentVertices: [],
+            construction: graphData.construction,
+            random: graphData.random
+        });
+        // Older files may record the convex hull; the outer face decides the periphery
+        graph.updatePeriphery();
+    }
+
+    // Apply a validated session to the live graph and renderer
+    static apply(session, graph, renderer) {
+        GraphSession.applyGraph(session.graph, graph);
+        if (session.view) {
+            renderer.zoom = session.view.zoom;
+            renderer.panX = session.view.panX;
+            renderer.panY = session.view.panY;
         }
-        return { valid: true };
     }
-    
-    // Get all vertices in the segment between two periphery indices (inclusive)
-    // getPeripherySegment(startIdx, endIdx) {
-    //     const segment = [];
-    //     const n = this.periphery.length;
+}
 
-    //     if (startIdx === endIdx) {
-    //         return [this.periphery[startIdx]];
-    //     }
+// LOCAL PERSISTENCE - autosave checkpoint plus a short list of named snapshots
+const STORAGE_PREFIX = 'segmentGraph.';
 
-    //     // Always traverse clockwise from startIdx to endIdx, wrapping around if needed
-    //     let current = startIdx;
-    //     while (true) {
-    //         segment.push(this.periphery[current]);
-    //         if (current === endIdx) break;
-    //         current = (current + 1) % n;
-    //     }
+class SessionStore {
+    constructor(storage, maxSnapshots = 10) {
+        this.storage = storage;
+        this.maxSnapshots = maxSnapshots;
+        this.autosaveKey = STORAGE_PREFIX + 'autosave';
+        this.indexKey = STORAGE_PREFIX + 'snapshots';
+    }
 
-    //     return segment;
-    // }
+    isAvailable() {
+        return !!this.storage;
+    }
 
-    getPeripherySegment(startIdx, endIdx) {
-    const n = this.periphery.length;
+    write(key, value) {
+        if (!this.storage) return { success: false, message: 'Local storage is not available' };
+        try {
+            this.storage.setItem(key, value);
+            return { success: true };
+        } catch (err) {
+            // Usually the quota; large graphs can outgrow it
+            return { success: false, message: `Local storage write failed: ${err.message}` };
+        }
+    }
 
-    if (startIdx === endIdx) {
-        return [this.periphery[startIdx]];
+    read(key) {
+        if (!this.storage) return null;
+        try {
+            return this.storage.getItem(key);
+        } catch (err) {
+            return null;
+        }
     }
 
-    // Path 1: clockwise from startIdx to endIdx
-    let clockwise = [];
-    let current = startIdx;
-    while (true) {
-        clockwise.push(this.periphery[current]);
-        if (current === endIdx) break;
-        current = (current + 1) % n;
+    remove(key) {
+        if (!this.storage) return;
+        try {
+            this.storage.removeItem(key);
+        } catch (err) {
+            // Nothing useful to do if storage refuses a delete
+        }
     }
 
-    // Path 2: clockwise from endIdx to startIdx (reverse direction)
-    let counterClockwise = [];
-    current = endIdx;
-    while (true) {
-        counterClockwise.push(this.periphery[current]);
-        if (current === startIdx) break;
-        current = (current + 1) % n;
+    saveAutosave(session) {
+        return this.write(this.autosaveKey, JSON.stringify(session));
     }
 
-    // Choose the shorter path
-    if (clockwise.length <= counterClockwise.length) {
-        return clockwise;
-    } else {
-        return counterClockwise.reverse(); // reverse to go start -> end
+    loadAutosave() {
+        const text = this.read(this.autosaveKey);
+        return text === null ? null : GraphSession.parse(text);
+    }
+
+    clearAutosave() {
+        this.remove(this.autosaveKey);
+    }
+
+    listSnapshots() {
+        const text = this.read(this.indexKey);
+        if (!text) return [];
+        try {
+            const index = JSON.parse(text);
+            return Array.isArray(index) ? index : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    writeIndex(index) {
+        return this.write(this.indexKey, JSON.stringify(index));
+    }
+
+    snapshotKey(id) {
+        return `${STORAGE_PREFIX}snapshot.${id}`;
+    }
+
+    saveSnapshot(name, session) {
+        const entry = {
+            id: Date.now().toString(36) + Math.floor(Math.random() * 1e6).toString(36),
+            name,
+            savedAt: session.savedAt,
+            vertexCount: session.graph.vertices.length
+        };
+
+        const stored = this.write(this.snapshotKey(entry.id), JSON.stringify(session));
+        if (!stored.success) return stored;
+
+        // Newest first; drop the oldest beyond the limit
+        const index = [entry, ...this.listSnapshots()];
+        for (const dropped of index.splice(this.maxSnapshots)) {
+            this.remove(this.snapshotKey(dropped.id));
+        }
+
+        const indexed = this.writeIndex(index);
+        if (!indexed.success) {
+            this.remove(this.snapshotKey(entry.id));
+            return indexed;
+        }
+        return { success: true, entry };
+    }
+
+    loadSnapshot(id) {
+        const text = this.read(this.snapshotKey(id));
+        if (text === null) return { success: false, message: 'Snapshot data is missing from local storage' };
+        return GraphSession.parse(text);
+    }
+
+    renameSnapshot(id, name) {
+        const index = this.listSnapshots();
+        const entry = index.find(e => e.id === id);
+        if (!entry) return { success: false, message: 'Snapshot not found' };
+        entry.name = name;
+        return this.writeIndex(index);
+    }
+
+    deleteSnapshot(id) {
+        this.remove(this.snapshotKey(id));
+        return this.writeIndex(this.listSnapshots().filter(e => e.id !== id));
     }
 }
 
-    
-    // // Process segment selection and add vertex connecting to ALL segment vertices
-    // processSegmentSelection() {
-    //     // Ensure exactly 2 periphery vertices are selected
-    //     if (this.selectedVertices.length !== 2) {
-    //         return { success: false, message: "Select exactly 2 periphery vertices." };
-    //     }
 
-    //     const [v1Idx, v2Idx] = this.selectedVertices;
-    //     const p1Idx = this.periphery.indexOf(v1Idx);
-    //     const p2Idx = this.periphery.indexOf(v2Idx);
+// VERTEX COLORING - palette and color names for the Colors display mode (the colorings are in graph-core.js)
+const COLORING_PALETTE = ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f', '#9b59b6', '#e67e22', '#1abc9c', '#7f8c8d'];
+const COLORING_NAMES = ['red', 'blue', 'green', 'yellow', 'purple', 'orange', 'teal', 'gray'];
 
-    //     if (p1Idx === -1 || p2Idx === -1) {
-    //         return { success: false, message: "Selected vertices must be in periphery." };
-    //     }
+// KEMPE WALKTHROUGH - replays a recorded coloring repair one step at a time for teaching.
+// Holds its own copy of the colors so the canvas can show the state between swaps.
+class KempeWalkthrough {
+    constructor(graph, repair) {
+        this.graph = graph;
+        this.vertex = repair.vertex;
+        this.colors = [...repair.before];
+        this.steps = repair.steps;
+        this.index = 0;
+    }
 
-    //     // In manual mode, only connect to the two selected periphery vertices
-    //     let segmentVertices;
-    //     if (this.manualMode) {
-    //         segmentVertices = [v1Idx, v2Idx];
-    //     } else {
-    //         // Get all periphery vertices between p1Idx and p2Idx (inclusive, clockwise)
-    //         segmentVertices = this.getPeripherySegment(p1Idx, p2Idx);
-    //     }
+    static colorName(color) {
+        return color < 0 ? 'uncolored' : COLORING_NAMES[color % COLORING_NAMES.length];
+    }
 
-    //     if (segmentVertices.length < 2) {
-    //         return { success: false, message: "Segment must contain at least 2 vertices." };
-    //     }
+    get current() {
+        return this.steps[this.index] || null;
+    }
 
-    //     // Find a position outside the periphery that connects to all segment vertices
-    //     const newPosition = this.findNonIntersectingPosition(segmentVertices);
-    //     if (!newPosition) {
-    //         this.selectedVertices = [];
-    //         this.segmentVertices = [];
-    //         return { success: false, message: "No valid outside position found for new vertex." };
-    //     }
+    get done() {
+        return this.index >= this.steps.length;
+    }
 
-    //     // Validate edges from new vertex to all segment vertices
-    //     const edgeValidation = this.validateNewEdges(newPosition, segmentVertices);
-    //     if (!edgeValidation.valid) {
-    //         return { success: false, message: edgeValidation.message };
-    //     }
+    label(idx) {
+        return `V${this.graph.vertices[idx].id}`;
+    }
 
-    //     // Add new vertex
-    //     const newVertexIdx = this.vertices.length;
-    //     this.vertices.push({
-    //         x: newPosition.x,
-    //         y: newPosition.y,
-    //         visible: true,
-    //         id: ++this.maxVertexId
-    //     });
-
-    //     // Connect new vertex to all segment vertices
-    //     for (const vIdx of segmentVertices) {
-    //         this.edges.push([newVertexIdx, vIdx]);
-    //     }
+    // Why the walkthrough was needed: the new vertex sees every color among its neighbors
+    describeConflict() {
+        const neighbors = new Set();
+        for (const [i, j] of this.graph.edges) {
+            if (i === this.vertex) neighbors.add(j);
+            if (j === this.vertex) neighbors.add(i);
+        }
+        const seen = [...neighbors].map(u => `${this.label(u)} ${KempeWalkthrough.colorName(this.colors[u])}`);
+        return `${this.label(this.vertex)} touches ${seen.join(', ')} - all four colors are taken`;
+    }
 
-    //     // Replace segment in periphery with new vertex
-    //     this.updatePeripheryAfterSegmentReplacement(p1Idx, p2Idx, newVertexIdx);
-
-    //     // Validate graph integrity
-    //     const integrityCheck = this.validateGraphIntegrity();
-    //     if (!integrityCheck.valid) {
-    //         // Rollback if planarity violated
-    //         this.vertices.pop();
-    //         this.edges.splice(-segmentVertices.length);
-    //         this.updatePeriphery();
-    //         return { success: false, message: integrityCheck.message };
-    //     }
+    // Text for the step about to be applied
+    describe(step) {
+        const name = KempeWalkthrough.colorName;
+        switch (step.kind) {
+            case 'blocked': {
+                const chain = `${name(step.a)}/${name(step.b)} chain from ${this.label(step.start)} (${step.chain.length} vertices)`;
+                // Either the chain reaches a b-colored neighbor, or misses another a-colored one
+                return step.chain.includes(step.blocker) ?
+                    `${chain} reaches ${this.label(step.blocker)} (${name(step.b)}), so swapping would not free ${name(step.a)}` :
+                    `${chain} misses ${this.label(step.blocker)} (${name(step.a)}), so swapping would not free ${name(step.a)}`;
+            }
+            case 'swap':
+                return `Swap ${name(step.a)}/${name(step.b)} chain from ${this.label(step.start)}: ` +
+                    step.changes.map(c => `${this.label(c.vertex)} ${name(c.from)}→${name(c.to)}`).join(', ');
+            case 'assign':
+                return `${this.label(step.vertex)} takes the free color ${name(step.color)}`;
+            case 'recolor':
+                return `No single swap works; recolored ${step.changes.length} vertices with an exact search`;
+            default:
+                return step.kind;
+        }
+    }
 
-    //     // Clear selection
-    //     this.selectedVertices = [];
-    //     this.segmentVertices = [];
-
-    //     return {
-    //         success: true,
-    //         message: `Added vertex V${this.maxVertexId} outside periphery, connected to ${segmentVertices.length} segment vertices${this.manualMode ? '' : ' (clockwise)'}.`
-    //     };
-    // }
-    
-//     FINE WORKING CODE
-//     processSegmentSelection() {
-//     // Ensure exactly 2 periphery vertices are selected
-//     if (this.selectedVertices.length !== 2) {
-//         return { success: false, message: "Select exactly 2 periphery vertices." };
-//     }
-
-//     const [v1Idx, v2Idx] = this.selectedVertices;
-//     const p1Idx = this.periphery.indexOf(v1Idx);
-//     const p2Idx = this.periphery.indexOf(v2Idx);
-
-//     if (p1Idx === -1 || p2Idx === -1) {
-//         return { success: false, message: "Selected vertices must be in periphery." };
-//     }
-
-//     // Always get all periphery vertices between p1Idx and p2Idx (inclusive, clockwise)
-//     const segmentVertices = this.getPeripherySegment(p1Idx, p2Idx);
-
-//     if (segmentVertices.length < 2) {
-//         return { success: false, message: "Segment must contain at least 2 vertices." };
-//     }
-
-//     // Find a position outside the periphery that connects to all segment vertices
-//     const newPosition = this.findNonIntersectingPosition(segmentVertices);
-//     if (!newPosition) {
-//         this.selectedVertices = [];
-//         this.segmentVertices = [];
-//         return { success: false, message: "No valid outside position found for new vertex." };
-//     }
-
-//     // Validate edges from new vertex to all segment vertices
-//     const edgeValidation = this.validateNewEdges(newPosition, segmentVertices);
-//     if (!edgeValidation.valid) {
-//         return { success: false, message: edgeValidation.message };
-//     }
-
-//     // Add new vertex
-//     const newVertexIdx = this.vertices.length;
-//     this.vertices.push({
-//         x: newPosition.x,
-//         y: newPosition.y,
-//         visible: true,
-//         id: ++this.maxVertexId
-//     });
-
-//     // Connect new vertex to all segment vertices
-//     for (const vIdx of segmentVertices) {
-//         this.edges.push([newVertexIdx, vIdx]);
-//     }
-
-//     // Replace segment in periphery with new vertex
-//     this.updatePeripheryAfterSegmentReplacement(p1Idx, p2Idx, newVertexIdx);
-
-//     // Force clockwise order
-//     this.ensureClockwiseOrder();
-
-//     // Validate graph integrity
-//     const integrityCheck = this.validateGraphIntegrity();
-//     if (!integrityCheck.valid) {
-//         // Rollback if planarity violated
-//         this.vertices.pop();
-//         this.edges.splice(-segmentVertices.length);
-//         this.updatePeriphery();
-//         return { success: false, message: integrityCheck.message };
-//     }
-
-//     // Clear selection
-//     this.selectedVertices = [];
-//     this.segmentVertices = [];
-
-//     return {
-//         success: true,
-//         message: `Added vertex V${this.maxVertexId} outside periphery, connected to ${segmentVertices.length} segment vertices (clockwise).`
-//     };
-// }
-processSegmentSelection() {
-    // Ensure exactly 2 periphery vertices are selected
-    if (this.selectedVertices.length !== 2) {
-        return { success: false, message: "Select exactly 2 periphery vertices." };
-    }
-
-    const [v1Idx, v2Idx] = this.selectedVertices;
-    const p1Idx = this.periphery.indexOf(v1Idx);
-    const p2Idx = this.periphery.indexOf(v2Idx);
-
-    if (p1Idx === -1 || p2Idx === -1) {
-        return { success: false, message: "Selected vertices must be in periphery." };
-    }
-
-    // Get only the vertices between the two extremes, clockwise
-    const segmentVertices = this.getPeripherySegment(p1Idx, p2Idx);
-
-    if (segmentVertices.length < 2) {
-        return { success: false, message: "Segment must contain at least 2 vertices." };
-    }
-
-    // Find position outside the periphery that connects to all segment vertices
-    const newPosition = this.findNonIntersectingPosition(segmentVertices);
-    if (!newPosition) {
-        this.selectedVertices = [];
-        this.segmentVertices = [];
-        return { success: false, message: "No valid outside position found for new vertex." };
-    }
-
-    // Validate edges from new vertex to ONLY the segment vertices
-    const edgeValidation = this.validateNewEdges(newPosition, segmentVertices);
-    if (!edgeValidation.valid) {
-        return { success: false, message: edgeValidation.message };
-    }
-
-    // Add new vertex
-    const newVertexIdx = this.vertices.length;
-    this.vertices.push({
-        x: newPosition.x,
-        y: newPosition.y,
-        visible: true,
-        id: ++this.maxVertexId
-    });
-
-    // Connect new vertex to ONLY the vertices in the selected segment
-    for (const vIdx of segmentVertices) {
-        this.edges.push([newVertexIdx, vIdx]);
-    }
-
-    // Replace segment in periphery with new vertex
-    // this.updatePeripheryAfterSegmentReplacement(p1Idx, p2Idx, newVertexIdx);
-
-// Instead of replacing segment in periphery, insert new vertex outside it
-const insertPos = (p2Idx + 1) % this.periphery.length;
-this.periphery.splice(insertPos, 0, newVertexIdx);
+    // Apply the current step to the local colors; returns its log line
+    advance() {
+        const step = this.current;
+        if (!step) return null;
+        for (const { vertex, to } of step.changes) {
+            this.colors[vertex] = to;
+        }
+        this.index++;
+        return this.describe(step);
+    }
+}
 
+// GROUP SELECTION - vertices picked outside manual mode to be moved, rotated or scaled
+// together. Handles are sized in screen pixels; transforms are computed in world space
+// from where the vertices were when the drag began, so a rejected step loses nothing.
+const SELECTION_PADDING = 20;      // screen px between the selected vertices and the box
+const SELECTION_HANDLE_SIZE = 10;  // screen px, square scale handles on the corners
+const SELECTION_ROTATE_OFFSET = 30; // screen px from the top of the box to the rotate handle
+const SELECTION_MIN_SCALE = 0.05;
 
+class GroupSelection {
+    constructor(graph) {
+        this.graph = graph;
+        this.indices = new Set();
+        this.drag = null; // { mode, start, centre, from } while a transform is dragged
+    }
 
-    // Force clockwise order
-    this.ensureClockwiseOrder();
+    // Selected vertex indices that still exist and are shown (undo and loads can remove them)
+    list() {
+        const vertices = this.graph.vertices;
+        return [...this.indices].filter(idx => idx < vertices.length && vertices[idx].visible);
+    }
+
+    get size() {
+        return this.list().length;
+    }
+
+    toggle(idx) {
+        if (this.indices.has(idx)) this.indices.delete(idx);
+        else this.indices.add(idx);
+    }
+
+    addAll(indices) {
+        indices.forEach(idx => this.indices.add(idx));
+    }
 
-    // Validate graph integrity
-    const integrityCheck = this.validateGraphIntegrity();
-    if (!integrityCheck.valid) {
-        // Rollback if planarity violated
-        this.vertices.pop();
-        this.edges.splice(-segmentVertices.length);
-        this.updatePeriphery();
-        return { success: false, message: integrityCheck.message };
+    clear() {
+        this.indices.clear();
+        this.drag = null;
     }
 
-    // Clear selection
-    this.selectedVertices = [];
-    this.segmentVertices = [];
+    // Visible vertices inside a world rectangle given by two opposite corners
+    verticesInside(a, b) {
+        const minX = Math.min(a.x, b.x), maxX = Math.max(a.x, b.x);
+        const minY = Math.min(a.y, b.y), maxY = Math.max(a.y, b.y);
+        const inside = [];
+        this.graph.vertices.forEach((v, idx) => {
+            if (v.visible && v.x >= minX && v.x <= maxX && v.y >= minY && v.y <= maxY) inside.push(idx);
+        });
+        return inside;
+    }
+
+    // Screen geometry of the box and its handles, or null with nothing selected
+    handles(renderer) {
+        const selected = this.list();
+        if (selected.length === 0) return null;
+        const points = selected.map(idx => renderer.worldToScreen(this.graph.vertices[idx].x, this.graph.vertices[idx].y));
+        const pad = SELECTION_PADDING + Math.max(10, renderer.zoom * 15);
+        const minX = Math.min(...points.map(p => p.x)) - pad, maxX = Math.max(...points.map(p => p.x)) + pad;
+        const minY = Math.min(...points.map(p => p.y)) - pad, maxY = Math.max(...points.map(p => p.y)) + pad;
+        return {
+            box: { minX, minY, maxX, maxY },
+            corners: [{ x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }],
+            rotate: { x: (minX + maxX) / 2, y: minY - SELECTION_ROTATE_OFFSET }
+        };
+    }
 
-    return {
-        success: true,
-        message: `Added vertex V${this.maxVertexId} outside periphery, connected to ${segmentVertices.length} segment vertices (clockwise).`
-    };
+    // Which transform a press at screen (x, y) starts: 'rotate', 'scale', 'move' or null
+    hitTest(renderer, x, y) {
+        const geometry = this.handles(renderer);
+        if (!geometry) return null;
+        const near = p => Math.abs(p.x - x) <= SELECTION_HANDLE_SIZE && Math.abs(p.y - y) <= SELECTION_HANDLE_SIZE;
+        if (near(geometry.rotate)) return 'rotate';
+        if (geometry.corners.some(near)) return 'scale';
+        const { minX, minY, maxX, maxY } = geometry.box;
+        return x >= minX && x <= maxX && y >= minY && y <= maxY ? 'move' : null;
+    }
+
+    // Remember where everything is; transforms are measured from the world point from
+    begin(mode, from) {
+        const selected = this.list();
+        const start = selected.map(idx => ({ x: this.graph.vertices[idx].x, y: this.graph.vertices[idx].y }));
+        const xs = start.map(p => p.x), ys = start.map(p => p.y);
+        const centre = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+        this.drag = { mode, selected, start, centre, from };
+    }
+
+    // Positions of the dragged vertices (in drag.selected order) with the mouse at world point to
+    transformed(to) {
+        const { mode, start, centre, from } = this.drag;
+        if (mode === 'move') {
+            const dx = to.x - from.x, dy = to.y - from.y;
+            return start.map(p => ({ x: p.x + dx, y: p.y + dy }));
+        }
+        if (mode === 'rotate') {
+            const angle = Math.atan2(to.y - centre.y, to.x - centre.x) - Math.atan2(from.y - centre.y, from.x - centre.x);
+            const cos = Math.cos(angle), sin = Math.sin(angle);
+            return start.map(p => ({
+                x: centre.x + (p.x - centre.x) * cos - (p.y - centre.y) * sin,
+                y: centre.y + (p.x - centre.x) * sin + (p.y - centre.y) * cos
+            }));
+        }
+        const reach = Math.hypot(from.x - centre.x, from.y - centre.y) || 1;
+        const factor = Math.max(SELECTION_MIN_SCALE, Math.hypot(to.x - centre.x, to.y - centre.y) / reach);
+        return start.map(p => ({ x: centre.x + (p.x - centre.x) * factor, y: centre.y + (p.y - centre.y) * factor }));
+    }
+
+    // History label for the finished drag
+    describe() {
+        const verb = { move: 'Move', rotate: 'Rotate', scale: 'Scale' }[this.drag.mode];
+        return `${verb} ${this.drag.selected.length} vertices`;
+    }
 }
 
-updatePeripheryAfterSegmentReplacement(startIdx, endIdx, newVertexIdx) {
-    const n = this.periphery.length;
-    let newPeriphery = [];
+// STANDARD GRAPH FORMATS - vertices are keyed by their id; the periphery order and the
+// vertex/edge insertion order travel as graph-level metadata
+const GRAPH_FORMATS = {
+    graphml: { label: 'GraphML', extension: 'graphml', mime: 'application/xml' },
+    dot: { label: 'Graphviz DOT', extension: 'dot', mime: 'text/vnd.graphviz' },
+    edgelist: { label: 'Edge list', extension: 'txt', mime: 'text/plain' },
+    adjacency: { label: 'Adjacency JSON', extension: 'json', mime: 'application/json' },
+    planar_code: { label: 'planar_code (plantri)', extension: 'plc', mime: 'application/octet-stream', binary: true },
+    graph6: { label: 'graph6', extension: 'g6', mime: 'text/plain' },
+    sparse6: { label: 'sparse6', extension: 's6', mime: 'text/plain' }
+};
+
+class GraphFormats {
+    static export(format, graph) {
+        switch (format) {
+            case 'graphml': return GraphFormats.toGraphML(graph);
+            case 'dot': return GraphFormats.toDot(graph);
+            case 'edgelist': return GraphFormats.toEdgeList(graph);
+            case 'adjacency': return JSON.stringify(GraphFormats.toAdjacency(graph), null, 2);
+            case 'planar_code': return GraphFormats.toPlanarCode(graph);
+            case 'graph6': return GraphFormats.toGraph6(graph);
+            case 'sparse6': return GraphFormats.toSparse6(graph);
+            default: throw new Error(`Unknown export format "${format}"`);
+        }
+    }
+
+    static edgeIds(graph) {
+        return graph.edges.map(([i, j]) => [graph.vertices[i].id, graph.vertices[j].id]);
+    }
+
+    static peripheryIds(graph) {
+        return graph.periphery.map(idx => graph.vertices[idx].id);
+    }
 
-    // Insert the new vertex after endIdx but keep all original vertices
-    if (startIdx <= endIdx) {
-        newPeriphery = [
-            ...this.periphery.slice(0, endIdx + 1),
-            newVertexIdx,
-            ...this.periphery.slice(endIdx + 1)
+    static toGraphML(graph) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            '  <key id="periphery" for="graph" attr.name="periphery" attr.type="string"/>',
+            '  <key id="vertexOrder" for="graph" attr.name="vertexOrder" attr.type="string"/>',
+            '  <key id="maxVertexId" for="graph" attr.name="maxVertexId" attr.type="int"/>',
+            '  <key id="vid" for="node" attr.name="id" attr.type="int"/>',
+            '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+            '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+            '  <key id="visible" for="node" attr.name="visible" attr.type="boolean"/>',
+            '  <key id="order" for="edge" attr.name="order" attr.type="int"/>',
+            '  <graph id="G" edgedefault="undirected">',
+            `    <data key="periphery">${GraphFormats.peripheryIds(graph).join(' ')}</data>`,
+            `    <data key="vertexOrder">${graph.vertices.map(v => v.id).join(' ')}</data>`,
+            `    <data key="maxVertexId">${graph.maxVertexId}</data>`
         ];
-    } else {
-        // Wrap-around case
-        newPeriphery = [
-            ...this.periphery.slice(0, endIdx + 1),
-            newVertexIdx,
-            ...this.periphery.slice(endIdx + 1, startIdx + 1),
-            ...this.periphery.slice(startIdx + 1)
+
+        for (const v of graph.vertices) {
+            lines.push(
+                `    <node id="v${v.id}">`,
+                `      <data key="vid">${v.id}</data>`,
+                `      <data key="x">${v.x}</data>`,
+                `      <data key="y">${v.y}</data>`,
+                `      <data key="visible">${v.visible}</data>`,
+                '    </node>'
+            );
+        }
+
+        GraphFormats.edgeIds(graph).forEach(([a, b], k) => {
+            lines.push(`    <edge id="e${k}" source="v${a}" target="v${b}"><data key="order">${k}</data></edge>`);
+        });
+
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n');
+    }
+
+    // Graphviz has y pointing up, so y is negated in pos to keep the drawing upright
+    static toDot(graph) {
+        const lines = [
+            'graph G {',
+            `  periphery="${GraphFormats.peripheryIds(graph).join(' ')}";`,
+            `  vertexOrder="${graph.vertices.map(v => v.id).join(' ')}";`,
+            `  maxVertexId=${graph.maxVertexId};`,
+            '  node [shape=circle];'
         ];
+
+        for (const v of graph.vertices) {
+            lines.push(`  ${v.id} [pos="${v.x},${-v.y}!"${v.visible ? '' : ', style=invis'}];`);
+        }
+        for (const [a, b] of GraphFormats.edgeIds(graph)) {
+            lines.push(`  ${a} -- ${b};`);
+        }
+
+        lines.push('}');
+        return lines.join('\n');
     }
 
-    // Ensure clockwise order
-    this.periphery = newPeriphery;
-    this.ensureClockwiseOrder();
-}
+    static toEdgeList(graph) {
+        const lines = [
+            '# Undirected edge list, one "u v" pair of vertex ids per line, in insertion order',
+            `# periphery: ${GraphFormats.peripheryIds(graph).join(' ')}`,
+            `# vertexOrder: ${graph.vertices.map(v => v.id).join(' ')}`,
+            `# maxVertexId: ${graph.maxVertexId}`
+        ];
+        for (const [a, b] of GraphFormats.edgeIds(graph)) {
+            lines.push(`${a} ${b}`);
+        }
+        return lines.join('\n') + '\n';
+    }
 
-    
-    isOutsideGraph(x, y, margin = 0) {
-        const hull = this.getConvexHull();
-        if (hull.length < 3) return true;
-        
-        // Expand hull by margin if specified
-        if (margin > 0) {
-            const expandedHull = this.expandPolygon(hull, margin);
-            return !this.pointInPolygon({ x, y }, expandedHull);
+    // Neighbour lists follow edge insertion order
+    static toAdjacency(graph) {
+        const neighbors = graph.vertices.map(() => []);
+        for (const [i, j] of graph.edges) {
+            neighbors[i].push(graph.vertices[j].id);
+            neighbors[j].push(graph.vertices[i].id);
         }
-        
-        return !this.pointInPolygon({ x, y }, hull);
+
+        return {
+            format: 'enhanced-segment-graph/adjacency',
+            version: 1,
+            periphery: GraphFormats.peripheryIds(graph),
+            maxVertexId: graph.maxVertexId,
+            edgeOrder: GraphFormats.edgeIds(graph),
+            vertices: graph.vertices.map((v, i) => ({
+                id: v.id,
+                x: v.x,
+                y: v.y,
+                visible: v.visible,
+                neighbors: neighbors[i]
+            }))
+        };
     }
-    
-    expandPolygon(polygon, margin) {
-        // Simple polygon expansion by moving each vertex outward
-        const center = this.calculatePolygonCenter(polygon);
-        return polygon.map(vertex => {
-            const dx = vertex.x - center.x;
-            const dy = vertex.y - center.y;
-            const len = Math.sqrt(dx * dx + dy * dy);
-            if (len === 0) return vertex;
-            
-            const normalizedDx = dx / len;
-            const normalizedDy = dy / len;
-            
-            return {
-                x: vertex.x + normalizedDx * margin,
-                y: vertex.y + normalizedDy * margin
-            };
-        });
+
+    static detectFormat(filename) {
+        const extension = filename.toLowerCase().split('.').pop();
+        if (extension === 'graphml' || extension === 'xml') return 'graphml';
+        if (extension === 'dot' || extension === 'gv') return 'dot';
+        if (extension === 'json') return 'adjacency';
+        if (extension === 'plc' || extension === 'pl') return 'planar_code';
+        if (extension === 'g6') return 'graph6';
+        if (extension === 's6') return 'sparse6';
+        if (['txt', 'edges', 'el', 'csv', 'tsv'].includes(extension)) return 'edgelist';
+        return null;
     }
-    
-    calculatePolygonCenter(polygon) {
-        let cx = 0, cy = 0;
-        for (const vertex of polygon) {
-            cx += vertex.x;
-            cy += vertex.y;
+
+    // Parse a file and turn it into a validated graph state ({ vertices, edges, periphery, maxVertexId }).
+    // content is a string, or a Uint8Array for binary formats.
+    static import(format, content) {
+        let raw;
+        try {
+            switch (format) {
+                case 'graphml': raw = GraphFormats.parseGraphML(content); break;
+                case 'dot': raw = GraphFormats.parseDot(content); break;
+                case 'edgelist': raw = GraphFormats.parseEdgeList(content); break;
+                case 'adjacency': raw = GraphFormats.parseAdjacency(content); break;
+                case 'planar_code': raw = GraphFormats.parsePlanarCode(content); break;
+                case 'graph6': raw = GraphFormats.parseGraph6(content); break;
+                case 'sparse6': raw = GraphFormats.parseSparse6(content); break;
+                default: return { success: false, message: `Import is not supported for "${format}"` };
+            }
+        } catch (err) {
+            return { success: false, message: `Could not parse ${GRAPH_FORMATS[format].label}: ${err.message}` };
         }
-        return { x: cx / polygon.length, y: cy / polygon.length };
+
+        const data = GraphFormats.normalize(raw);
+        if (!data.success) return data;
+        return GraphFormats.build(data);
     }
-    
-    getConvexHull() {
-        const visibleVertices = this.vertices.filter(v => v.visible);
-        if (visibleVertices.length < 3) return visibleVertices;
-        
-        // Find bottom-most point (and leftmost if tie)
-        let start = 0;
-        for (let i = 1; i < visibleVertices.length; i++) {
-            if (visibleVertices[i].y > visibleVertices[start].y || 
-                (visibleVertices[i].y === visibleVertices[start].y && visibleVertices[i].x < visibleVertices[start].x)) {
-                start = i;
+
+    static parseGraphML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const error = doc.getElementsByTagName('parsererror')[0];
+        if (error) throw new Error(error.textContent.split('\n')[0]);
+
+        const keys = new Map();
+        for (const key of doc.getElementsByTagNameNS('*', 'key')) {
+            keys.set(key.getAttribute('id'), (key.getAttribute('attr.name') || key.getAttribute('id')).toLowerCase());
+        }
+        const readData = element => {
+            const values = {};
+            for (const child of element.children) {
+                if (child.localName === 'data') values[keys.get(child.getAttribute('key')) || child.getAttribute('key')] = child.textContent.trim();
             }
+            return values;
+        };
+
+        const graph = doc.getElementsByTagNameNS('*', 'graph')[0];
+        if (!graph) throw new Error('no <graph> element');
+        const meta = readData(graph);
+
+        const nodes = [];
+        for (const node of graph.getElementsByTagNameNS('*', 'node')) {
+            const data = readData(node);
+            const entry = { name: node.getAttribute('id'), id: data.id, x: data.x, y: data.y, visible: data.visible };
+            // yEd stores positions as a box in <y:Geometry>
+            const geometry = node.getElementsByTagNameNS('*', 'Geometry')[0];
+            if (geometry && entry.x === undefined) {
+                entry.x = parseFloat(geometry.getAttribute('x')) + parseFloat(geometry.getAttribute('width') || 0) / 2;
+                entry.y = parseFloat(geometry.getAttribute('y')) + parseFloat(geometry.getAttribute('height') || 0) / 2;
+            }
+            nodes.push(entry);
         }
-        
-        // Sort points by polar angle with respect to start point
-        const startPoint = visibleVertices[start];
-        const sortedPoints = visibleVertices.filter((_, i) => i !== start).sort((a, b) => {
-            const angleA = Math.atan2(a.y - startPoint.y, a.x - startPoint.x);
-            const angleB = Math.atan2(b.y - startPoint.y, b.x - startPoint.x);
-            return angleA - angleB;
-        });
-        
-        const hull = [startPoint];
-        for (const point of sortedPoints) {
-            while (hull.length > 1 && this.ccw(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
-                hull.pop();
+
+        const edges = [];
+        for (const edge of graph.getElementsByTagNameNS('*', 'edge')) {
+            edges.push([edge.getAttribute('source'), edge.getAttribute('target')]);
+        }
+
+        return { nodes, edges, periphery: meta.periphery, vertexOrder: meta.vertexorder, maxVertexId: meta.maxvertexid };
+    }
+
+    static tokenizeDot(text) {
+        const tokens = [];
+        let i = 0;
+        while (i < text.length) {
+            const c = text[i];
+            if (/\s/.test(c)) {
+                i++;
+            } else if (c === '/' && text[i + 1] === '/') {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (c === '/' && text[i + 1] === '*') {
+                const end = text.indexOf('*/', i + 2);
+                if (end === -1) throw new Error('unterminated comment');
+                i = end + 2;
+            } else if (c === '#' && (i === 0 || text[i - 1] === '\n')) {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (c === '"') {
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && text[i + 1] === '"') i++;
+                    else if (text[i] === '\\' && text[i + 1] === '\n') { i += 2; continue; }
+                    value += text[i++];
+                }
+                if (i >= text.length) throw new Error('unterminated string');
+                i++;
+                tokens.push({ type: 'id', value });
+            } else if (c === '<') {
+                let depth = 0;
+                const start = i;
+                do {
+                    if (text[i] === '<') depth++;
+                    if (text[i] === '>') depth--;
+                    i++;
+                } while (i < text.length && depth > 0);
+                tokens.push({ type: 'id', value: text.slice(start + 1, i - 1) });
+            } else if (c === '-' && (text[i + 1] === '-' || text[i + 1] === '>')) {
+                tokens.push({ type: 'edgeop', value: text.slice(i, i + 2) });
+                i += 2;
+            } else if ('{}[]=;,:'.includes(c)) {
+                tokens.push({ type: c, value: c });
+                i++;
+            } else {
+                const match = /^(-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)|[A-Za-z_\u0080-\uffff][A-Za-z_0-9\u0080-\uffff]*)/.exec(text.slice(i, i + 256));
+                if (!match) throw new Error(`unexpected character "${c}"`);
+                tokens.push({ type: 'id', value: match[0] });
+                i += match[0].length;
             }
-            hull.push(point);
         }
-        
-        return hull;
+        return tokens;
     }
-    
-    pointInPolygon(point, polygon) {
-        let inside = false;
-        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-            if (((polygon[i].y > point.y) !== (polygon[j].y > point.y)) &&
-                (point.x < (polygon[j].x - polygon[i].x) * (point.y - polygon[i].y) / (polygon[j].y - polygon[i].y) + polygon[i].x)) {
-                inside = !inside;
+
+    // Subset of the DOT grammar: node, edge and attribute statements, with subgraphs flattened
+    static parseDot(text) {
+        const tokens = GraphFormats.tokenizeDot(text);
+        let pos = 0;
+        const peek = () => tokens[pos] || { type: 'eof', value: '' };
+        const keyword = word => peek().type === 'id' && peek().value.toLowerCase() === word;
+        const expect = type => {
+            if (peek().type !== type) throw new Error(`expected "${type}" but found "${peek().value || 'end of file'}"`);
+            return tokens[pos++];
+        };
+
+        const nodes = new Map();
+        const edges = [];
+        const meta = {};
+        const touch = name => {
+            if (!nodes.has(name)) nodes.set(name, { name });
+            return nodes.get(name);
+        };
+
+        const parseAttributes = () => {
+            const attributes = {};
+            while (peek().type === '[') {
+                pos++;
+                while (peek().type !== ']') {
+                    const name = expect('id').value;
+                    let value = 'true';
+                    if (peek().type === '=') {
+                        pos++;
+                        value = expect('id').value;
+                    }
+                    attributes[name.toLowerCase()] = value;
+                    if (peek().type === ',' || peek().type === ';') pos++;
+                }
+                pos++;
+            }
+            return attributes;
+        };
+
+        // A node id (with optional port) or a subgraph; returns the node names it stands for
+        const parseOperand = () => {
+            if (keyword('subgraph') || peek().type === '{') {
+                if (keyword('subgraph')) {
+                    pos++;
+                    if (peek().type === 'id') pos++;
+                }
+                expect('{');
+                const names = parseStatements();
+                expect('}');
+                return names;
+            }
+            const name = expect('id').value;
+            while (peek().type === ':') {
+                pos++;
+                expect('id');
+            }
+            touch(name);
+            return [name];
+        };
+
+        const parseStatements = () => {
+            const mentioned = [];
+            while (peek().type !== '}' && peek().type !== 'eof') {
+                if (keyword('graph') || keyword('node') || keyword('edge')) {
+                    const kind = tokens[pos++].value.toLowerCase();
+                    const attributes = parseAttributes();
+                    if (kind === 'graph') Object.assign(meta, attributes);
+                } else if (peek().type === 'id' && tokens[pos + 1] && tokens[pos + 1].type === '=') {
+                    const name = tokens[pos].value.toLowerCase();
+                    meta[name] = tokens[pos + 2].value;
+                    pos += 3;
+                } else {
+                    const groups = [parseOperand()];
+                    while (peek().type === 'edgeop') {
+                        pos++;
+                        groups.push(parseOperand());
+                    }
+                    const attributes = parseAttributes();
+                    for (let k = 1; k < groups.length; k++) {
+                        for (const a of groups[k - 1]) {
+                            for (const b of groups[k]) edges.push([a, b]);
+                        }
+                    }
+                    if (groups.length === 1) {
+                        for (const name of groups[0]) {
+                            const node = touch(name);
+                            if (attributes.pos) {
+                                // Inverse of toDot: Graphviz y points up
+                                const [x, y] = attributes.pos.replace('!', '').split(',').map(parseFloat);
+                                node.x = x;
+                                node.y = -y;
+                            }
+                            if (attributes.style) node.visible = !/\binvis\b/.test(attributes.style);
+                        }
+                    }
+                    groups.forEach(names => mentioned.push(...names));
+                }
+                if (peek().type === ';' || peek().type === ',') pos++;
+            }
+            return mentioned;
+        };
+
+        if (keyword('strict')) pos++;
+        if (!keyword('graph') && !keyword('digraph')) throw new Error('file must start with "graph" or "digraph"');
+        pos++;
+        if (peek().type === 'id') pos++;
+        expect('{');
+        parseStatements();
+        expect('}');
+
+        return {
+            nodes: [...nodes.values()],
+            edges,
+            periphery: meta.periphery,
+            vertexOrder: meta.vertexorder,
+            maxVertexId: meta.maxvertexid
+        };
+    }
+
+    static parseEdgeList(text) {
+        const nodes = new Map();
+        const edges = [];
+        const meta = {};
+        const touch = name => {
+            if (!nodes.has(name)) nodes.set(name, { name });
+        };
+
+        for (const line of text.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+            if (trimmed.startsWith('#') || trimmed.startsWith('%')) {
+                const match = /^[#%]\s*(periphery|vertexOrder|maxVertexId)\s*:\s*(.*)$/i.exec(trimmed);
+                if (match) meta[match[1].toLowerCase()] = match[2];
+                continue;
+            }
+            // Anything after the first two columns (weights etc.) is ignored
+            const [a, b] = trimmed.split(/[\s,;]+/);
+            touch(a);
+            if (b !== undefined) {
+                touch(b);
+                edges.push([a, b]);
             }
         }
-        return inside;
+
+        return {
+            nodes: [...nodes.values()],
+            edges,
+            periphery: meta.periphery,
+            vertexOrder: meta.vertexorder,
+            maxVertexId: meta.maxvertexid
+        };
     }
-    
-    ccw(A, B, C) {
-        return (C.y - A.y) * (B.x - A.x) > (B.y - A.y) * (C.x - A.x);
+
+    static parseAdjacency(text) {
+        const doc = JSON.parse(text);
+        if (!doc || !Array.isArray(doc.vertices)) throw new Error('expected a "vertices" array');
+
+        const nodes = doc.vertices.map(v => ({ name: String(v.id), id: v.id, x: v.x, y: v.y, visible: v.visible }));
+        let edges;
+        if (Array.isArray(doc.edgeOrder)) {
+            edges = doc.edgeOrder.map(([a, b]) => [String(a), String(b)]);
+        } else {
+            edges = [];
+            for (const v of doc.vertices) {
+                for (const w of v.neighbors || []) {
+                    if (String(v.id) < String(w)) edges.push([String(v.id), String(w)]);
+                }
+            }
+        }
+
+        return {
+            nodes,
+            edges,
+            periphery: Array.isArray(doc.periphery) ? doc.periphery.join(' ') : undefined,
+            maxVertexId: doc.maxVertexId
+        };
     }
-    
-    distance(p1, p2) {
-        return Math.sqrt((p1.x - p2.x) ** 2 + (p1.y - p2.y) ** 2);
+
+    // Map file-level node names to numeric vertex ids and edges/periphery to array indices
+    static normalize(raw) {
+        const fail = message => ({ success: false, message });
+        const toNumber = value => (value === undefined || value === null || value === '' ? NaN : Number(value));
+
+        // Ids come from an explicit id attribute, then numeric names ("7", "v7"), then fresh numbers
+        const used = new Set();
+        const ids = raw.nodes.map(node => {
+            const explicit = toNumber(node.id);
+            const fromName = /^v?(\d+)$/i.exec(String(node.name));
+            const candidate = Number.isInteger(explicit) && explicit > 0 ? explicit : (fromName ? Number(fromName[1]) : NaN);
+            if (candidate > 0 && !used.has(candidate)) {
+                used.add(candidate);
+                return candidate;
+            }
+            return null;
+        });
+        let nextId = Math.max(0, ...used);
+        ids.forEach((id, k) => {
+            if (id === null) ids[k] = ++nextId;
+        });
+
+        let vertices = raw.nodes.map((node, k) => ({
+            name: String(node.name),
+            id: ids[k],
+            x: toNumber(node.x),
+            y: toNumber(node.y),
+            visible: node.visible === undefined ? true : node.visible === true || String(node.visible).toLowerCase() === 'true'
+        }));
+
+        const parseIdList = value => {
+            if (value === undefined || value === null) return null;
+            return String(value).trim().split(/[\s,]+/).filter(Boolean).map(Number);
+        };
+
+        // Restore insertion order when the file records it
+        const order = parseIdList(raw.vertexOrder);
+        if (order && order.length === vertices.length) {
+            const byId = new Map(vertices.map(v => [v.id, v]));
+            if (order.every(id => byId.has(id)) && new Set(order).size === order.length) {
+                vertices = order.map(id => byId.get(id));
+            }
+        }
+
+        const indexByName = new Map(vertices.map((v, k) => [v.name, k]));
+        const indexById = new Map(vertices.map((v, k) => [v.id, k]));
+        const edges = [];
+        const seen = new Set();
+        for (const [a, b] of raw.edges) {
+            const i = indexByName.get(String(a));
+            const j = indexByName.get(String(b));
+            if (i === undefined || j === undefined) return fail(`Edge ${a}-${b} refers to an unknown vertex`);
+            if (i === j) return fail(`Self-loop on V${vertices[i].id} is not allowed`);
+            const key = Math.min(i, j) + ',' + Math.max(i, j);
+            if (seen.has(key)) continue; // Multi-edges collapse to one
+            seen.add(key);
+            edges.push([i, j]);
+        }
+
+        let periphery = null;
+        const peripheryIds = parseIdList(raw.periphery);
+        if (peripheryIds) {
+            periphery = peripheryIds.map(id => indexById.get(id));
+            if (periphery.some(idx => idx === undefined)) {
+                return fail('Periphery metadata refers to a vertex that is not in the file');
+            }
+        }
+
+        // A rotation system (planar_code) is carried over as clockwise neighbour index lists
+        let rotation = null;
+        if (raw.rotation) {
+            const byName = new Map(raw.nodes.map((node, k) => [String(node.name), raw.rotation[k]]));
+            rotation = vertices.map(v => byName.get(v.name).map(name => indexByName.get(String(name))));
+        }
+
+        const maxVertexId = Math.max(toNumber(raw.maxVertexId) || 0, ...vertices.map(v => v.id));
+        return { success: true, vertices, edges, periphery, maxVertexId, rotation };
     }
-    
-    pointToLineDistance(point, lineStart, lineEnd) {
-        const A = lineEnd.x - lineStart.x;
-        const B = lineEnd.y - lineStart.y;
-        const C = point.x - lineStart.x;
-        const D = point.y - lineStart.y;
-        
-        const dot = A * C + B * D;
-        const lenSq = A * A + B * B;
-        
-        if (lenSq === 0) return this.distance(point, lineStart);
-        
-        let param = Math.max(0, Math.min(1, dot / lenSq));
-        const closest = {
-            x: lineStart.x + param * A,
-            y: lineStart.y + param * B
+
+    // Check planarity, lay out vertices without positions and determine the outer cycle
+    static build(data) {
+        const fail = message => ({ success: false, message });
+        const { vertices, edges } = data;
+        const n = vertices.length;
+        const label = idx => `V${vertices[idx].id}`;
+
+        if (n < 3) return fail('Graph must contain at least 3 vertices');
+        if (edges.length > 3 * n - 6) return fail(`${edges.length} edges is more than a planar graph on ${n} vertices can have`);
+
+        const adj = PlanarLayout.adjacency(n, edges);
+        const connectivity = PlanarLayout.checkBiconnected(n, adj);
+        if (!connectivity.connected) return fail('Graph is not connected');
+        if (connectivity.cutVertex !== -1) {
+            return fail(`${label(connectivity.cutVertex)} is a cut vertex - the graph must be 2-connected so its outer boundary is a simple cycle`);
+        }
+
+        const probe = new Graph();
+        const apply = points => probe.restoreSnapshot({
+            vertices: vertices.map((v, k) => ({ x: points[k].x, y: points[k].y, visible: v.visible, id: v.id })),
+            edges,
+            periphery: [],
+            maxVertexId: data.maxVertexId,
+            selectedVertices: [],
+            segmentVertices: []
+        });
+        const rejectCrossings = prefix => {
+            // Hidden vertices are still part of the drawing being checked
+            probe.vertices.forEach(v => { v.visible = true; });
+            const crossings = probe.findCrossings();
+            const shown = crossings.slice(0, 10).map(c => probe.describeCrossing(c)).join(', ');
+            const more = crossings.length > 10 ? ` and ${crossings.length - 10} more` : '';
+            return fail(`${prefix}: ${crossings.length} edge crossing${crossings.length === 1 ? '' : 's'} - ${shown}${more}`);
+        };
+
+        let points;
+        let outer;
+        const hasPositions = vertices.every(v => Number.isFinite(v.x) && Number.isFinite(v.y));
+        if (hasPositions) {
+            points = vertices.map(v => ({ x: v.x, y: v.y }));
+            const positions = new Set(points.map(p => `${p.x},${p.y}`));
+            if (positions.size < n) return fail('Two or more vertices share the same position');
+
+            apply(points);
+            probe.vertices.forEach(v => { v.visible = true; });
+            if (!probe.validateGraphIntegrity().valid) return rejectCrossings('Drawing is not planar');
+            outer = PlanarLayout.outerFace(points, PlanarLayout.facesFromPositions(points, edges));
+        } else {
+            // A recorded periphery must be a cycle of the graph; it becomes the outer face
+            const wanted = data.periphery;
+            if (wanted) {
+                if (wanted.length < 3 || new Set(wanted).size !== wanted.length) {
+                    return fail('Periphery metadata must list at least 3 distinct vertices');
+                }
+                const edgeSet = new Set(edges.map(([i, j]) => Math.min(i, j) + ',' + Math.max(i, j)));
+                const gap = wanted.findIndex((u, k) => {
+                    const w = wanted[(k + 1) % wanted.length];
+                    return !edgeSet.has(Math.min(u, w) + ',' + Math.max(u, w));
+                });
+                if (gap !== -1) {
+                    return fail(`Periphery metadata is not a cycle - ${label(wanted[gap])} and ${label(wanted[(gap + 1) % wanted.length])} are not adjacent`);
+                }
+            }
+
+            let faces;
+            if (data.rotation) {
+                // Use the embedding the file gives rather than computing another one
+                faces = PlanarLayout.facesFromRotation(data.rotation);
+                if (faces.length !== edges.length - n + 2) {
+                    return fail(`Rotation system is not planar (${faces.length} faces, Euler's formula needs ${edges.length - n + 2})`);
+                }
+            } else {
+                faces = PlanarLayout.embed(n, edges, wanted);
+                if (!faces && wanted) {
+                    return fail(PlanarLayout.embed(n, edges) ?
+                        'Periphery metadata names a cycle that is not a face of any crossing-free drawing' :
+                        'Graph is not planar - no crossing-free drawing exists');
+                }
+                if (!faces) return fail('Graph is not planar - no crossing-free drawing exists');
+            }
+
+            // The recorded periphery is the outer face; without one, the largest face is
+            if (wanted) {
+                const reversed = [...wanted].reverse();
+                outer = faces.find(face => PlanarEmbedding.sameCycle(face, wanted) || PlanarEmbedding.sameCycle(face, reversed));
+                if (!outer) return fail('Periphery metadata names a cycle that is not a face of the rotation system');
+            } else {
+                outer = faces.reduce((best, face) => (face.length > best.length ? face : best), faces[0]);
+            }
+            points = PlanarLayout.tutte(n, edges, outer, faces, Math.max(200, 120 * Math.sqrt(n)));
+        }
+
+        apply(points);
+        // The periphery is the outer face found above; metadata naming another face is ignored
+        probe.periphery = [...outer];
+        probe.vertices.forEach(v => { v.visible = true; });
+        if (!probe.validateGraphIntegrity().valid) return rejectCrossings('Computed drawing is not planar');
+        probe.ensureClockwiseOrder();
+
+        return {
+            success: true,
+            state: {
+                vertices: vertices.map((v, k) => ({ id: v.id, x: points[k].x, y: points[k].y, visible: v.visible })),
+                edges,
+                periphery: probe.periphery,
+                maxVertexId: data.maxVertexId
+            },
+            layout: hasPositions ? 'positions from file' : 'computed Tutte embedding'
         };
-        
-        return this.distance(point, closest);
     }
-    
-    updatePeriphery() {
-        const hull = this.getConvexHull();
-        this.periphery = hull.map(vertex => this.vertices.findIndex(v => v === vertex));
-        this.ensureClockwiseOrder();
+
+    // plantri's planar_code: per vertex its clockwise neighbours (1-based), each list ended by 0.
+    // Graphs with 256 or more vertices use 2-byte little-endian entries after a leading 0.
+    static toPlanarCode(graph) {
+        const n = graph.vertices.length;
+        // The maintained embedding stays valid even while the drawing has crossings
+        const rotation = graph.getEmbedding().rotation;
+        const wide = n >= 256;
+        const header = wide ? '>>planar_code le<<' : '>>planar_code<<';
+        const values = [n];
+        for (const neighbors of rotation) {
+            values.push(...neighbors.map(v => v + 1), 0);
+        }
+
+        const out = new Uint8Array(header.length + (wide ? 1 + 2 * values.length : values.length));
+        for (let k = 0; k < header.length; k++) out[k] = header.charCodeAt(k);
+        let pos = header.length;
+        if (wide) {
+            out[pos++] = 0;
+            for (const value of values) {
+                out[pos++] = value & 0xff;
+                out[pos++] = value >> 8;
+            }
+        } else {
+            for (const value of values) out[pos++] = value;
+        }
+        return out;
     }
-    
-    ensureClockwiseOrder() {
-        if (this.periphery.length < 3) return;
-        
-        let area = 0;
-        for (let i = 0; i < this.periphery.length; i++) {
-            const j = (i + 1) % this.periphery.length;
-            const vi = this.vertices[this.periphery[i]];
-            const vj = this.vertices[this.periphery[j]];
-            area += (vj.x - vi.x) * (vj.y + vi.y);
+
+    // Reads the first graph of a planar_code file
+    static parsePlanarCode(bytes) {
+        let pos = 0;
+        let bigEndian = false;
+        const text = String.fromCharCode(...bytes.subarray(0, 20));
+        const header = /^>>planar_code( le| be)?<</.exec(text);
+        if (header) {
+            pos = header[0].length;
+            bigEndian = header[1] === ' be';
+        } else if (text.startsWith('>>')) {
+            throw new Error('not a planar_code file');
         }
-        
-        if (area < 0) {
-            this.periphery.reverse();
+
+        if (pos >= bytes.length) throw new Error('file contains no graph');
+        let wide = false;
+        if (bytes[pos] === 0) {
+            wide = true;
+            pos++;
         }
+        const read = () => {
+            if (pos + (wide ? 2 : 1) > bytes.length) throw new Error('file ends in the middle of a graph');
+            if (!wide) return bytes[pos++];
+            const value = bigEndian ? (bytes[pos] << 8) | bytes[pos + 1] : bytes[pos] | (bytes[pos + 1] << 8);
+            pos += 2;
+            return value;
+        };
+
+        const n = read();
+        const rotation = [];
+        for (let v = 1; v <= n; v++) {
+            const neighbors = [];
+            for (let w = read(); w !== 0; w = read()) {
+                if (w > n) throw new Error(`vertex ${v} has neighbour ${w} but there are only ${n} vertices`);
+                neighbors.push(String(w));
+            }
+            rotation.push(neighbors);
+        }
+
+        const edges = [];
+        rotation.forEach((neighbors, k) => {
+            const v = k + 1;
+            for (const name of neighbors) {
+                const w = Number(name);
+                if (!rotation[w - 1].includes(String(v))) throw new Error(`edge ${v}-${w} is only listed at one end`);
+                if (v < w) edges.push([String(v), name]);
+            }
+        });
+
+        return {
+            nodes: rotation.map((_, k) => ({ name: String(k + 1) })),
+            edges,
+            rotation
+        };
     }
-    
-    addRandomSegment() {
-        if (this.periphery.length < 2) {
-            return { success: false, message: "Need at least 2 periphery vertices" };
+
+    // N(n) of the nauty formats, as 6-bit values
+    static encodeSize(n) {
+        if (n <= 62) return [n];
+        if (n <= 258047) return [63, (n >> 12) & 63, (n >> 6) & 63, n & 63];
+        return [63, 63, ...[30, 24, 18, 12, 6, 0].map(shift => Math.floor(n / 2 ** shift) & 63)];
+    }
+
+    static decodeSize(values) {
+        if (values[0] !== 63) return { n: values[0], used: 1 };
+        if (values[1] !== 63) return { n: (values[1] << 12) | (values[2] << 6) | values[3], used: 4 };
+        let n = 0;
+        for (let k = 2; k < 8; k++) n = n * 64 + values[k];
+        return { n, used: 8 };
+    }
+
+    static packBits(bits) {
+        const values = [];
+        for (let k = 0; k < bits.length; k += 6) {
+            let value = 0;
+            for (let b = 0; b < 6; b++) value = (value << 1) | (bits[k + b] || 0);
+            values.push(value);
         }
+        return values;
+    }
 
-        // Pick two random periphery indices (can be non-consecutive)
-        const startIdx = Math.floor(Math.random() * this.periphery.length);
-        let endIdx = Math.floor(Math.random() * this.periphery.length);
-        while (endIdx === startIdx) {
-            endIdx = Math.floor(Math.random() * this.periphery.length);
+    // First graph line of a graph6/sparse6 file as 6-bit values (header and prefix removed)
+    static readNautyLine(text, header, prefix) {
+        const line = text.split(/\r?\n/).map(l => l.trim()).find(l => l.length > 0);
+        if (!line) throw new Error('file contains no graph');
+        let body = line.startsWith(header) ? line.slice(header.length) : line;
+        if (prefix) {
+            if (!body.startsWith(prefix)) throw new Error(`${header.slice(2, -2)} lines start with "${prefix}"`);
+            body = body.slice(prefix.length);
         }
+        return [...body].map(c => {
+            const value = c.charCodeAt(0) - 63;
+            if (value < 0 || value > 63) throw new Error(`invalid character "${c}"`);
+            return value;
+        });
+    }
 
-        // Get segment between startIdx and endIdx (inclusive, clockwise)
-        const segmentIndices = this.getPeripherySegment(startIdx, endIdx);
+    static nautyNodes(n) {
+        return Array.from({ length: n }, (_, k) => ({ name: String(k + 1) }));
+    }
 
-        // Select endpoints for the segment
-        this.selectedVertices = [this.periphery[startIdx], this.periphery[endIdx]];
-        this.segmentVertices = segmentIndices;
+    // graph6: upper triangle of the adjacency matrix, column by column
+    static toGraph6(graph) {
+        const n = graph.vertices.length;
+        const adjacent = new Set(graph.edges.map(([i, j]) => Math.min(i, j) * n + Math.max(i, j)));
+        const bits = [];
+        for (let j = 1; j < n; j++) {
+            for (let i = 0; i < j; i++) bits.push(adjacent.has(i * n + j) ? 1 : 0);
+        }
+        const values = [...GraphFormats.encodeSize(n), ...GraphFormats.packBits(bits)];
+        return String.fromCharCode(...values.map(v => v + 63)) + '\n';
+    }
 
-        // Only process one segment (add one vertex)
-        const result = this.processSegmentSelection();
+    static parseGraph6(text) {
+        const values = GraphFormats.readNautyLine(text, '>>graph6<<', '');
+        const { n, used } = GraphFormats.decodeSize(values);
+        const edges = [];
+        let bit = 0;
+        for (let j = 1; j < n; j++) {
+            for (let i = 0; i < j; i++, bit++) {
+                const value = values[used + Math.floor(bit / 6)];
+                if (value === undefined) throw new Error('graph is shorter than its vertex count requires');
+                if ((value >> (5 - (bit % 6))) & 1) edges.push([String(i + 1), String(j + 1)]);
+            }
+        }
+        return { nodes: GraphFormats.nautyNodes(n), edges };
+    }
 
-        // Clear the temporary selection regardless of result
-        this.selectedVertices = [];
-        this.segmentVertices = [];
+    // sparse6: edges sorted by larger endpoint, written as (b, x) pairs against a current vertex
+    static toSparse6(graph) {
+        const n = graph.vertices.length;
+        let k = 1;
+        while ((1 << k) < n) k++;
+        const encode = x => Array.from({ length: k }, (_, b) => (x >> (k - 1 - b)) & 1);
+
+        const edges = graph.edges
+            .map(([i, j]) => [Math.max(i, j), Math.min(i, j)])
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        const bits = [];
+        let current = 0;
+        for (const [v, u] of edges) {
+            if (v === current) {
+                bits.push(0, ...encode(u));
+            } else if (v === current + 1) {
+                current = v;
+                bits.push(1, ...encode(u));
+            } else {
+                current = v;
+                bits.push(1, ...encode(v), 0, ...encode(u));
+            }
+        }
+        // Padding with 1s must not read back as an extra edge to vertex n-1
+        const padding = (6 - (bits.length % 6)) % 6;
+        if (k < 6 && n === (1 << k) && padding >= k && current < n - 1) bits.push(0);
+        while (bits.length % 6 !== 0) bits.push(1);
 
-        // Always return result, even if segment cannot be added
-        return result;
+        const values = [...GraphFormats.encodeSize(n), ...GraphFormats.packBits(bits)];
+        return ':' + String.fromCharCode(...values.map(v => v + 63)) + '\n';
+    }
+
+    static parseSparse6(text) {
+        const values = GraphFormats.readNautyLine(text, '>>sparse6<<', ':');
+        const { n, used } = GraphFormats.decodeSize(values);
+        let k = 1;
+        while ((1 << k) < n) k++;
+
+        const bits = [];
+        for (const value of values.slice(used)) {
+            for (let b = 5; b >= 0; b--) bits.push((value >> b) & 1);
+        }
+
+        const edges = [];
+        let v = 0;
+        let pos = 0;
+        while (pos + 1 + k <= bits.length) {
+            const b = bits[pos++];
+            let x = 0;
+            for (let i = 0; i < k; i++) x = (x << 1) | bits[pos++];
+            if (b === 1) v++;
+            if (x >= n || v >= n) break;
+            if (x > v) {
+                v = x;
+            } else {
+                edges.push([String(x + 1), String(v + 1)]);
+            }
+        }
+        return { nodes: GraphFormats.nautyNodes(n), edges };
     }
-    
-    // (Remove this duplicate toggleManualMode method. The correct implementation is further down in the class.)
 }
 
 class GraphRenderer {
-    constructor(canvas, graph) {
+    constructor(canvas, graph, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.graph = graph;
         
+        // Off-screen renderers (image export) size themselves and draw no hover state
+        this.interactive = options.interactive !== false;
+        this.pixelRatio = window.devicePixelRatio;
+        this.kempe = null; // KempeWalkthrough being shown, if any
+        this.crossings = null; // Graph.getCrossingReport() entries to highlight, if any
+        this.focusedCrossing = -1; // index into crossings picked from the sidebar report
+        this.schnyderTrees = null; // edge index -> Schnyder tree (0-2, -1 outer), if shown
+        this.moveRegion = null; // MoveRegion shaded while a vertex is dragged
+        this.selection = null; // GroupSelection outlined with its transform handles
+        this.rubberBand = null; // { from, to } screen corners while a selection box is dragged out
+        this.flipPreview = null; // { edge, diagonal, valid } for the edge under the mouse in flip mode
+        
         this.zoom = 1;
         this.panX = 0;
         this.panY = 0;
@@ -762,10 +1429,19 @@ class GraphRenderer {
             peripheryEdge: '#f39c12',   // Periphery outline
             segmentHighlight: '#8e44ad',  // Segment highlight
             previewVertex: 'rgba(231, 76, 60, 0.7)', // Preview vertex
-            previewEdge: 'rgba(231, 76, 60, 0.5)'     // Preview edges
+            previewEdge: 'rgba(231, 76, 60, 0.5)',     // Preview edges
+            crossing: '#ff0000',        // Edges in the crossing report
+            schnyderTrees: ['#c0392b', '#27ae60', '#2980b9'], // Edges of Schnyder trees 0, 1, 2
+            moveRegion: 'rgba(39, 174, 96, 0.15)', // Where a dragged vertex may go
+            selection: '#16a085',       // Group selection rings, box and handles
+            flipLegal: '#27ae60',       // Diagonal an edge flip would give
+            flipIllegal: '#c0392b',     // Diagonal an edge flip cannot give
+            rubberBand: 'rgba(22, 160, 133, 0.12)' // Selection box being dragged out
         };
         
-        this.setupCanvas();
+        if (this.interactive) {
+            this.setupCanvas();
+        }
     }
     
     setupCanvas() {
@@ -775,18 +1451,43 @@ class GraphRenderer {
     
     resizeCanvas() {
         const rect = this.canvas.getBoundingClientRect();
-        this.canvas.width = rect.width * window.devicePixelRatio;
-        this.canvas.height = rect.height * window.devicePixelRatio;
+        this.pixelRatio = window.devicePixelRatio;
+        this.canvas.width = rect.width * this.pixelRatio;
+        this.canvas.height = rect.height * this.pixelRatio;
         this.ctx.setTransform(1, 0, 0, 1, 0, 0); // Reset transform before scaling
-        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        this.ctx.scale(this.pixelRatio, this.pixelRatio);
         this.canvas.style.width = rect.width + 'px';
         this.canvas.style.height = rect.height + 'px';
         this.render();
     }
     
+    // Size a detached canvas: width/height in CSS pixels, pixelRatio device pixels per CSS pixel
+    resizeOffscreen(width, height, pixelRatio) {
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.scale(pixelRatio, pixelRatio);
+    }
+    
+    getViewSize() {
+        return {
+            width: this.canvas.width / this.pixelRatio,
+            height: this.canvas.height / this.pixelRatio
+        };
+    }
+
+    // The world rectangle on screen
+    getWorldBounds() {
+        const { width, height } = this.getViewSize();
+        const topLeft = this.screenToWorld(0, 0);
+        const bottomRight = this.screenToWorld(width, height);
+        return { minX: topLeft.x, minY: topLeft.y, maxX: bottomRight.x, maxY: bottomRight.y };
+    }
+    
     worldToScreen(x, y) {
-        const centerX = this.canvas.width / (2 * window.devicePixelRatio);
-        const centerY = this.canvas.height / (2 * window.devicePixelRatio);
+        const centerX = this.canvas.width / (2 * this.pixelRatio);
+        const centerY = this.canvas.height / (2 * this.pixelRatio);
         
         return {
             x: centerX + (x + this.panX) * this.zoom,
@@ -795,8 +1496,8 @@ class GraphRenderer {
     }
     
     screenToWorld(x, y) {
-        const centerX = this.canvas.width / (2 * window.devicePixelRatio);
-        const centerY = this.canvas.height / (2 * window.devicePixelRatio);
+        const centerX = this.canvas.width / (2 * this.pixelRatio);
+        const centerY = this.canvas.height / (2 * this.pixelRatio);
         
         return {
             x: (x - centerX) / this.zoom - this.panX,
@@ -806,16 +1507,20 @@ class GraphRenderer {
     
     render() {
         const ctx = this.ctx;
-        const width = this.canvas.width / window.devicePixelRatio;
-        const height = this.canvas.height / window.devicePixelRatio;
+        const { width, height } = this.getViewSize();
         
         ctx.clearRect(0, 0, width, height);
         
+        this.drawMoveRegion();
         this.drawEdges();
+        this.drawCrossings();
         // this.drawPeripheryOutline();
         this.drawSegmentHighlight();
+        this.drawKempeChain();
+        this.drawFlipPreview();
         this.renderIntersectionPreview();
         this.drawVertices();
+        this.drawSelection();
     }
     
     // VISUAL INTERSECTION PREVIEW
@@ -827,7 +1532,7 @@ class GraphRenderer {
             
             if (p1Idx !== -1 && p2Idx !== -1) {
                 const segmentVertices = this.graph.getPeripherySegment(p1Idx, p2Idx);
-                const previewPosition = this.graph.findNonIntersectingPosition(segmentVertices);
+                const previewPosition = this.graph.findAttachPosition(segmentVertices);
                 
                 if (previewPosition) {
                     const ctx = this.ctx;
@@ -860,24 +1565,152 @@ class GraphRenderer {
     
     drawEdges() {
         const ctx = this.ctx;
+        const trees = this.schnyderTrees;
         
-        for (const [i, j] of this.graph.edges) {
+        this.graph.edges.forEach(([i, j], k) => {
             const v1 = this.graph.vertices[i];
             const v2 = this.graph.vertices[j];
             
-            if (!v1.visible || !v2.visible) continue;
+            if (!v1.visible || !v2.visible) return;
             
             const p1 = this.worldToScreen(v1.x, v1.y);
             const p2 = this.worldToScreen(v2.x, v2.y);
             
-            ctx.strokeStyle = this.colors.edge;
-            ctx.lineWidth = Math.max(1, this.zoom * 1.5);
+            const tree = trees ? trees[k] : -1;
+            ctx.strokeStyle = tree >= 0 ? this.colors.schnyderTrees[tree] : this.colors.edge;
+            ctx.lineWidth = Math.max(1, this.zoom * (tree >= 0 ? 2 : 1.5));
+            ctx.beginPath();
+            ctx.moveTo(p1.x, p1.y);
+            ctx.lineTo(p2.x, p2.y);
+            ctx.stroke();
+        });
+    }
+    
+    // Shade the cells a dragged vertex may move within
+    drawMoveRegion() {
+        const region = this.moveRegion;
+        if (!this.interactive || !region) return;
+        const ctx = this.ctx;
+        const size = region.step * this.zoom;
+        ctx.fillStyle = this.colors.moveRegion;
+        ctx.beginPath();
+        for (const c of region.cells()) {
+            const p = this.worldToScreen(c.x, c.y);
+            ctx.rect(p.x - size / 2, p.y - size / 2, size, size);
+        }
+        ctx.fill();
+    }
+
+    // The hovered edge thickened, and the diagonal it would flip to dashed in green, or
+    // in red when the flip is not allowed
+    drawFlipPreview() {
+        const preview = this.flipPreview;
+        if (!this.interactive || !preview) return;
+        const ctx = this.ctx;
+        const color = preview.valid ? this.colors.flipLegal : this.colors.flipIllegal;
+        const line = ([i, j]) => {
+            const p1 = this.worldToScreen(this.graph.vertices[i].x, this.graph.vertices[i].y);
+            const p2 = this.worldToScreen(this.graph.vertices[j].x, this.graph.vertices[j].y);
             ctx.beginPath();
             ctx.moveTo(p1.x, p1.y);
             ctx.lineTo(p2.x, p2.y);
             ctx.stroke();
+        };
+        ctx.strokeStyle = this.colors.hover;
+        ctx.lineWidth = Math.max(4, this.zoom * 5);
+        line(this.graph.edges[preview.edge]);
+        if (preview.diagonal) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = Math.max(2, this.zoom * 2);
+            ctx.setLineDash([6, 4]);
+            line(preview.diagonal);
+            ctx.setLineDash([]);
         }
     }
+
+    // Rings on the selected vertices, the box with its scale and rotate handles, and the
+    // rubber band while one is being dragged out
+    drawSelection() {
+        if (!this.interactive) return;
+        const ctx = this.ctx;
+        const geometry = this.selection ? this.selection.handles(this) : null;
+        ctx.strokeStyle = this.colors.selection;
+
+        if (geometry) {
+            const radius = Math.max(10, this.zoom * 15) + 4;
+            ctx.lineWidth = 3;
+            for (const idx of this.selection.list()) {
+                const p = this.worldToScreen(this.graph.vertices[idx].x, this.graph.vertices[idx].y);
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, radius, 0, 2 * Math.PI);
+                ctx.stroke();
+            }
+
+            const { minX, minY, maxX, maxY } = geometry.box;
+            const top = (minX + maxX) / 2;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(minX, minY, maxX - minX, maxY - minY);
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(top, minY);
+            ctx.lineTo(geometry.rotate.x, geometry.rotate.y);
+            ctx.stroke();
+
+            const half = SELECTION_HANDLE_SIZE / 2;
+            ctx.fillStyle = '#ffffff';
+            for (const c of geometry.corners) {
+                ctx.fillRect(c.x - half, c.y - half, 2 * half, 2 * half);
+                ctx.strokeRect(c.x - half, c.y - half, 2 * half, 2 * half);
+            }
+            ctx.beginPath();
+            ctx.arc(geometry.rotate.x, geometry.rotate.y, half + 1, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        const band = this.rubberBand;
+        if (band) {
+            const x = Math.min(band.from.x, band.to.x), y = Math.min(band.from.y, band.to.y);
+            const w = Math.abs(band.to.x - band.from.x), h = Math.abs(band.to.y - band.from.y);
+            ctx.fillStyle = this.colors.rubberBand;
+            ctx.fillRect(x, y, w, h);
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x, y, w, h);
+        }
+    }
+
+    // Edges that cross, touch or overlap in red, with a ring at each contact point
+    drawCrossings() {
+        if (!this.interactive || !this.crossings) return;
+        const ctx = this.ctx;
+        const edges = new Set(this.crossings.flatMap(crossing => crossing.edges));
+
+        ctx.strokeStyle = this.colors.crossing;
+        ctx.lineWidth = Math.max(2, this.zoom * 3);
+        ctx.beginPath();
+        for (const k of edges) {
+            const [i, j] = this.graph.edges[k];
+            const p1 = this.worldToScreen(this.graph.vertices[i].x, this.graph.vertices[i].y);
+            const p2 = this.worldToScreen(this.graph.vertices[j].x, this.graph.vertices[j].y);
+            ctx.moveTo(p1.x, p1.y);
+            ctx.lineTo(p2.x, p2.y);
+        }
+        ctx.stroke();
+
+        ctx.lineWidth = 2;
+        this.crossings.forEach((crossing, index) => {
+            const p = this.worldToScreen(crossing.point.x, crossing.point.y);
+            const focused = index === this.focusedCrossing;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, focused ? 14 : 6, 0, Math.PI * 2);
+            if (focused) {
+                ctx.fillStyle = 'rgba(255, 0, 0, 0.15)';
+                ctx.fill();
+            }
+            ctx.stroke();
+        });
+    }
     
     drawPeripheryOutline() {
         if (this.graph.periphery.length < 3) return;
@@ -904,16 +1737,22 @@ class GraphRenderer {
         ctx.setLineDash([]);
     }
     
-    drawSegmentHighlight() {
-        if (this.graph.selectedVertices.length !== 2) return;
+    // Periphery path between the two selected endpoints, or null when there is none
+    getHighlightedSegment() {
+        if (this.graph.selectedVertices.length !== 2) return null;
         
         const [v1Idx, v2Idx] = this.graph.selectedVertices;
         const p1Idx = this.graph.periphery.indexOf(v1Idx);
         const p2Idx = this.graph.periphery.indexOf(v2Idx);
         
-        if (p1Idx === -1 || p2Idx === -1) return;
+        if (p1Idx === -1 || p2Idx === -1) return null;
         
-        const segmentVertices = this.graph.getPeripherySegment(p1Idx, p2Idx);
+        return this.graph.getPeripherySegment(p1Idx, p2Idx);
+    }
+    
+    drawSegmentHighlight() {
+        const segmentVertices = this.getHighlightedSegment();
+        if (!segmentVertices) return;
         
         const ctx = this.ctx;
         ctx.strokeStyle = this.colors.segmentHighlight;
@@ -939,6 +1778,7 @@ class GraphRenderer {
     drawVertices() {
         const ctx = this.ctx;
         const radius = Math.max(10, this.zoom * 15);
+        const coloring = this.getDisplayColoring();
         
         for (let i = 0; i < this.graph.vertices.length; i++) {
             const vertex = this.graph.vertices[i];
@@ -946,17 +1786,8 @@ class GraphRenderer {
             
             const p = this.worldToScreen(vertex.x, vertex.y);
             
-            // Determine color based on state
-            let color = this.colors.vertex;
-            if (i === this.graph.hoveredVertex) {
-                color = this.colors.hover;
-            } else if (this.graph.selectedVertices.includes(i)) {
-                color = this.colors.segmentEndpoint;
-            } else if (this.graph.segmentVertices.includes(i)) {
-                color = this.colors.segmentIntermediate;
-            } else if (this.graph.periphery.includes(i)) {
-                color = this.colors.periphery;
-            }
+            const hovered = this.interactive && i === this.graph.hoveredVertex;
+            const color = hovered ? this.colors.hover : this.getVertexColor(i, coloring);
             
             // Draw vertex
             ctx.fillStyle = color;
@@ -968,37 +1799,155 @@ class GraphRenderer {
             ctx.strokeStyle = '#ffffff';
             ctx.lineWidth = Math.max(1, this.zoom);
             ctx.stroke();
-            
-            // Draw label
-            if (this.graph.showIndices || this.zoom > 0.5) {
-                ctx.fillStyle = '#ffffff';
-                ctx.font = `bold ${Math.max(11, this.zoom * 13)}px sans-serif`;
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(vertex.id.toString(), p.x, p.y);
+            
+            // Draw label
+            if (this.shouldDrawLabels(this.zoom)) {
+                ctx.fillStyle = '#ffffff';
+                ctx.font = `bold ${Math.max(11, this.zoom * 13)}px sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(vertex.id.toString(), p.x, p.y);
+            }
+        }
+
+        if (coloring && this.interactive) {
+            this.drawColoringLegend(coloring);
+        }
+    }
+
+    // A running Kempe walkthrough shows its own intermediate colors
+    getDisplayColoring() {
+        if (this.kempe) return this.kempe.colors;
+        return this.graph.showIndices ? null : this.graph.getColoring();
+    }
+
+    // Halo around the chain of the next walkthrough step, its edges, and the vertex being colored
+    drawKempeChain() {
+        const kempe = this.kempe;
+        if (!kempe) return;
+        const ctx = this.ctx;
+        const radius = Math.max(10, this.zoom * 15);
+        const step = kempe.current;
+        const chain = step && step.chain ? new Set(step.chain) : new Set();
+
+        if (chain.size > 0) {
+            ctx.strokeStyle = step.kind === 'blocked' ? 'rgba(127, 140, 141, 0.6)' : 'rgba(142, 68, 173, 0.6)';
+            ctx.lineWidth = Math.max(6, this.zoom * 8);
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            for (const [i, j] of this.graph.edges) {
+                if (!chain.has(i) || !chain.has(j)) continue;
+                const p1 = this.worldToScreen(this.graph.vertices[i].x, this.graph.vertices[i].y);
+                const p2 = this.worldToScreen(this.graph.vertices[j].x, this.graph.vertices[j].y);
+                ctx.moveTo(p1.x, p1.y);
+                ctx.lineTo(p2.x, p2.y);
+            }
+            ctx.stroke();
+            ctx.lineCap = 'butt';
+
+            ctx.fillStyle = ctx.strokeStyle;
+            for (const idx of chain) {
+                const p = this.worldToScreen(this.graph.vertices[idx].x, this.graph.vertices[idx].y);
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, radius + 6, 0, 2 * Math.PI);
+                ctx.fill();
             }
         }
+
+        // Dashed rings: the vertex being colored, and the neighbor that blocks this chain
+        const rings = [[kempe.vertex, '#8e44ad']];
+        if (step && step.kind === 'blocked') rings.push([step.blocker, '#c0392b']);
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 4]);
+        for (const [idx, color] of rings) {
+            const p = this.worldToScreen(this.graph.vertices[idx].x, this.graph.vertices[idx].y);
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, radius + 8, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+    }
+
+    // Palette key in the top-left corner: one swatch per color with its vertex count
+    drawColoringLegend(coloring) {
+        const ctx = this.ctx;
+        const counts = [];
+        for (const color of coloring) {
+            if (color >= 0) counts[color] = (counts[color] || 0) + 1;
+        }
+
+        const rowHeight = 18;
+        const width = 92;
+        const height = 24 + counts.length * rowHeight;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.fillRect(10, 10, width, height);
+        ctx.strokeRect(10, 10, width, height);
+
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#2c3e50';
+        ctx.fillText(`${counts.filter(Boolean).length} colors`, 18, 22);
+
+        ctx.font = '11px sans-serif';
+        for (let c = 0; c < counts.length; c++) {
+            const y = 22 + (c + 1) * rowHeight;
+            ctx.fillStyle = COLORING_PALETTE[c % COLORING_PALETTE.length];
+            ctx.beginPath();
+            ctx.arc(24, y, 6, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.fillStyle = '#2c3e50';
+            ctx.fillText(`${c + 1}: ${counts[c] || 0}`, 36, y);
+        }
     }
     
-    centerAndFit() {
-        const visibleVertices = this.graph.vertices.filter(v => v.visible);
-        if (visibleVertices.length === 0) return;
-        
+    // Fill color from selection state, then the proper coloring in Colors mode or the
+    // periphery state in Indices mode (hover is handled by the caller)
+    getVertexColor(i, coloring = this.getDisplayColoring()) {
+        if (this.graph.selectedVertices.includes(i)) {
+            return this.colors.segmentEndpoint;
+        } else if (this.graph.segmentVertices.includes(i)) {
+            return this.colors.segmentIntermediate;
+        } else if (coloring) {
+            return coloring[i] < 0 ? this.colors.vertex : COLORING_PALETTE[coloring[i] % COLORING_PALETTE.length];
+        } else if (this.graph.periphery.includes(i)) {
+            return this.colors.periphery;
+        }
+        return this.colors.vertex;
+    }
+    
+    shouldDrawLabels(zoom) {
+        return this.graph.showIndices || zoom > 0.5;
+    }
+    
+    // World-space bounding box of the visible vertices, or null if none are visible
+    getVisibleBounds() {
         let minX = Infinity, maxX = -Infinity;
         let minY = Infinity, maxY = -Infinity;
         
-        for (const vertex of visibleVertices) {
+        for (const vertex of this.graph.vertices) {
+            if (!vertex.visible) continue;
             minX = Math.min(minX, vertex.x);
             maxX = Math.max(maxX, vertex.x);
             minY = Math.min(minY, vertex.y);
             maxY = Math.max(maxY, vertex.y);
         }
         
+        return minX === Infinity ? null : { minX, maxX, minY, maxY };
+    }
+    
+    centerAndFit() {
+        const bounds = this.getVisibleBounds();
+        if (!bounds) return;
+        const { minX, maxX, minY, maxY } = bounds;
+        
         this.panX = -(minX + maxX) / 2;
         this.panY = -(minY + maxY) / 2;
         
-        const width = this.canvas.width / window.devicePixelRatio;
-        const height = this.canvas.height / window.devicePixelRatio;
+        const { width, height } = this.getViewSize();
         const graphWidth = maxX - minX;
         const graphHeight = maxY - minY;
         
@@ -1013,6 +1962,15 @@ class GraphRenderer {
         this.render();
     }
     
+    // Center the view on a world point, zoomed so about span world units fit across
+    centerOn(point, span) {
+        const { width, height } = this.getViewSize();
+        this.panX = -point.x;
+        this.panY = -point.y;
+        this.zoom = Math.max(0.1, Math.min(5, (Math.min(width, height) * 0.8) / span));
+        this.render();
+    }
+    
     getVertexAt(screenX, screenY) {
         const worldPos = this.screenToWorld(screenX, screenY);
         const radius = Math.max(18, this.zoom * 25) / this.zoom;
@@ -1028,11 +1986,281 @@ class GraphRenderer {
         }
         return -1;
     }
+
+    // Index of the visible edge nearest the screen point within a few pixels, or -1
+    getEdgeAt(screenX, screenY) {
+        const worldPos = this.screenToWorld(screenX, screenY);
+        const reach = 6 / this.zoom;
+        let best = -1;
+        let bestDist = reach;
+        const near = this.graph.getSpatialIndex().queryEdges(worldPos.x - reach, worldPos.y - reach, worldPos.x + reach, worldPos.y + reach);
+        for (const k of near) {
+            const [i, j] = this.graph.edges[k];
+            const v1 = this.graph.vertices[i], v2 = this.graph.vertices[j];
+            if (!v1.visible || !v2.visible) continue;
+            const dist = this.graph.pointToLineDistance(worldPos, v1, v2);
+            if (dist <= bestDist) {
+                best = k;
+                bestDist = dist;
+            }
+        }
+        return best;
+    }
+}
+
+// SVG EXPORT - same edges, highlight and vertices as the canvas, as vector output
+class SvgExporter {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.graph = renderer.graph;
+    }
+    
+    // mode 'fit' frames the whole visible graph at 100% zoom, 'viewport' reproduces the canvas view
+    export(mode = 'fit', margin = 40) {
+        const frame = mode === 'viewport' ? this.viewportFrame() : this.fitFrame(margin);
+        if (!frame) return null;
+        
+        const { width, height, zoom, toScreen } = frame;
+        const colors = this.renderer.colors;
+        const num = value => Math.round(value * 100) / 100;
+        const radius = Math.max(10, zoom * 15);
+        
+        // Elements entirely outside the frame are skipped so large graphs stay small
+        const inFrame = (x, y, pad) => x >= -pad && y >= -pad && x <= width + pad && y <= height + pad;
+        const screen = this.graph.vertices.map(v => (v.visible ? toScreen(v.x, v.y) : null));
+        
+        const out = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}">`
+        ];
+        
+        // Edges as one path
+        const edgePath = [];
+        for (const [i, j] of this.graph.edges) {
+            const p1 = screen[i];
+            const p2 = screen[j];
+            if (!p1 || !p2) continue;
+            if (Math.max(p1.x, p2.x) < 0 || Math.max(p1.y, p2.y) < 0 ||
+                Math.min(p1.x, p2.x) > width || Math.min(p1.y, p2.y) > height) continue;
+            edgePath.push(`M${num(p1.x)} ${num(p1.y)}L${num(p2.x)} ${num(p2.y)}`);
+        }
+        if (edgePath.length > 0) {
+            out.push(`<path d="${edgePath.join('')}" fill="none" stroke="${colors.edge}" stroke-width="${num(Math.max(1, zoom * 1.5))}" stroke-linecap="round"/>`);
+        }
+        
+        // Selected segment
+        const segmentVertices = this.renderer.getHighlightedSegment();
+        if (segmentVertices) {
+            const points = segmentVertices.filter(i => screen[i]).map(i => `${num(screen[i].x)},${num(screen[i].y)}`);
+            if (points.length > 1) {
+                out.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${colors.segmentHighlight}" stroke-width="${num(Math.max(4, zoom * 4))}" stroke-dasharray="12 6"/>`);
+            }
+        }
+        
+        // Vertices, then labels in a shared group
+        const circles = [];
+        const labels = [];
+        const showLabels = this.renderer.shouldDrawLabels(zoom);
+        for (let i = 0; i < screen.length; i++) {
+            const p = screen[i];
+            if (!p || !inFrame(p.x, p.y, radius)) continue;
+            circles.push(`<circle cx="${num(p.x)}" cy="${num(p.y)}" r="${num(radius)}" fill="${this.renderer.getVertexColor(i)}"/>`);
+            if (showLabels) {
+                labels.push(`<text x="${num(p.x)}" y="${num(p.y)}">${this.graph.vertices[i].id}</text>`);
+            }
+        }
+        out.push(`<g stroke="#ffffff" stroke-width="${num(Math.max(1, zoom))}">`, ...circles, '</g>');
+        if (labels.length > 0) {
+            out.push(`<g fill="#ffffff" font-family="sans-serif" font-weight="bold" font-size="${num(Math.max(11, zoom * 13))}" text-anchor="middle" dominant-baseline="central">`, ...labels, '</g>');
+        }
+        
+        out.push('</svg>');
+        return out.join('\n');
+    }
+    
+    fitFrame(margin) {
+        const bounds = this.renderer.getVisibleBounds();
+        if (!bounds) return null;
+        
+        const pad = margin + 15; // Keep whole vertex circles inside the frame
+        return {
+            width: bounds.maxX - bounds.minX + 2 * pad,
+            height: bounds.maxY - bounds.minY + 2 * pad,
+            zoom: 1,
+            toScreen: (x, y) => ({ x: x - bounds.minX + pad, y: y - bounds.minY + pad })
+        };
+    }
+    
+    viewportFrame() {
+        return {
+            ...this.renderer.getViewSize(),
+            zoom: this.renderer.zoom,
+            toScreen: (x, y) => this.renderer.worldToScreen(x, y)
+        };
+    }
+}
+
+// PNG EXPORT - renders through an off-screen GraphRenderer so the visible canvas is untouched
+const MAX_EXPORT_SIDE = 16384;
+const MAX_EXPORT_PIXELS = 16384 * 16384 / 2;
+
+class PngExporter {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.graph = renderer.graph;
+    }
+
+    // CSS-pixel frame and view for 'fit' (whole graph at 100%) or 'viewport' (as on screen)
+    getFrame(mode, margin = 40) {
+        if (mode === 'viewport') {
+            return {
+                ...this.renderer.getViewSize(),
+                zoom: this.renderer.zoom,
+                panX: this.renderer.panX,
+                panY: this.renderer.panY
+            };
+        }
+
+        const bounds = this.renderer.getVisibleBounds();
+        if (!bounds) return null;
+        const pad = margin + 15;
+        return {
+            width: bounds.maxX - bounds.minX + 2 * pad,
+            height: bounds.maxY - bounds.minY + 2 * pad,
+            zoom: 1,
+            panX: -(bounds.minX + bounds.maxX) / 2,
+            panY: -(bounds.minY + bounds.maxY) / 2
+        };
+    }
+
+    getPixelSize(mode, scale) {
+        const frame = this.getFrame(mode);
+        if (!frame) return null;
+        return {
+            width: Math.round(frame.width * scale),
+            height: Math.round(frame.height * scale)
+        };
+    }
+
+    // options: { mode, scale, background (CSS color or 'transparent'), dpi }
+    export(options) {
+        const frame = this.getFrame(options.mode);
+        if (!frame) {
+            return Promise.resolve({ success: false, message: 'Nothing to export - no vertices are visible' });
+        }
+
+        const width = Math.round(frame.width * options.scale);
+        const height = Math.round(frame.height * options.scale);
+        if (width > MAX_EXPORT_SIDE || height > MAX_EXPORT_SIDE || width * height > MAX_EXPORT_PIXELS) {
+            return Promise.resolve({
+                success: false,
+                message: `${width} × ${height} px exceeds the browser canvas limit - lower the scale`
+            });
+        }
+
+        const canvas = document.createElement('canvas');
+        const offscreen = new GraphRenderer(canvas, this.graph, { interactive: false });
+        offscreen.colors = { ...this.renderer.colors };
+        offscreen.resizeOffscreen(frame.width, frame.height, options.scale);
+        offscreen.zoom = frame.zoom;
+        offscreen.panX = frame.panX;
+        offscreen.panY = frame.panY;
+        offscreen.render();
+
+        if (options.background !== 'transparent') {
+            const ctx = offscreen.ctx;
+            ctx.save();
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = options.background;
+            ctx.fillRect(0, 0, frame.width, frame.height);
+            ctx.restore();
+        }
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+            .then(blob => {
+                if (!blob) throw new Error('The browser could not encode the image');
+                return blob.arrayBuffer();
+            })
+            .then(buffer => ({
+                success: true,
+                blob: new Blob([PngExporter.withDpi(new Uint8Array(buffer), options.dpi)], { type: 'image/png' }),
+                width,
+                height
+            }))
+            .catch(err => ({ success: false, message: `PNG export failed: ${err.message}` }));
+    }
+
+    // Replace any pHYs chunk with one carrying the requested DPI, right after IHDR
+    static withDpi(png, dpi) {
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        view.setUint32(8, pixelsPerMeter);
+        view.setUint32(12, pixelsPerMeter);
+        chunk[16] = 1; // Unit: meter
+        view.setUint32(17, PngExporter.crc32(chunk.subarray(4, 17)));
+
+        const parts = [png.subarray(0, 8)];
+        const source = new DataView(png.buffer, png.byteOffset, png.byteLength);
+        let offset = 8;
+        while (offset < png.length) {
+            const length = source.getUint32(offset);
+            const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+            const end = offset + 12 + length;
+            if (type !== 'pHYs') parts.push(png.subarray(offset, end));
+            if (type === 'IHDR') parts.push(chunk);
+            offset = end;
+        }
+
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            out.set(part, position);
+            position += part.length;
+        }
+        return out;
+    }
+
+    static crc32(bytes) {
+        if (!PngExporter.crcTable) {
+            PngExporter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                PngExporter.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (const byte of bytes) {
+            crc = PngExporter.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
 }
 
+// Length of the move from the current drawing to a computed layout
+const LAYOUT_ANIMATION_MS = 700;
+const RELAX_FRAME_MS = 8;          // time per frame for relaxation steps, so a large graph stays responsive
+
 class GraphApp {
     constructor() {
         this.graph = new Graph();
+        this.history = new GraphHistory(this.graph);
+        this.sessionStore = new SessionStore(this.getLocalStorage());
+        this.replayState = null; // { steps, next } while stepping through a script
+        this.kempeMode = false;
+        this.showSchnyderTrees = false; // color edges by their Schnyder tree
+        this.removeMode = false; // clicks remove periphery vertices
+        this.flipMode = false; // clicks flip interior edges
+        this.layoutAnimation = null; // requestAnimationFrame id while moving to a layout
+        this.relaxation = null; // { frame, slice, run } while the force layout is on; frame is null once settled
+        this.planarity = null; // integrity check shown in the sidebar; null until the next full check
+        this.selection = new GroupSelection(this.graph); // vertices transformed as a group
+        this.groupDragBefore = null; // history snapshot taken when a group transform began
         this.renderer = null;
         this.isDragging = false;
         this.lastMousePos = { x: 0, y: 0 };
@@ -1045,9 +2273,42 @@ class GraphApp {
     initializeUI() {
         const canvas = document.getElementById('graphCanvas');
         this.renderer = new GraphRenderer(canvas, this.graph);
+        this.renderer.selection = this.selection;
         this.renderer.centerAndFit();
+        this.offerAutosaveRestore();
+        this.renderSnapshotList();
+        this.updateKempeStatus();
         this.updateUI();
     }
+
+    getLocalStorage() {
+        // Accessing localStorage throws in some privacy modes
+        try {
+            return window.localStorage;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Offer to continue from the last autosave instead of the fresh triangle
+    offerAutosaveRestore() {
+        const saved = this.sessionStore.loadAutosave();
+        if (!saved) return;
+
+        if (!saved.success) {
+            this.sessionStore.clearAutosave();
+            this.showMessage(`Discarded unreadable autosave: ${saved.message}`, 'warning');
+            return;
+        }
+
+        const vertexCount = saved.session.graph.vertices.length;
+        const when = saved.session.savedAt ? new Date(saved.session.savedAt).toLocaleString() : 'an earlier visit';
+        if (window.confirm(`Restore the last session from ${when} (${vertexCount} vertices)?`)) {
+            GraphSession.apply(saved.session, this.graph, this.renderer);
+            this.renderer.render();
+            this.showMessage(`Restored last session (${vertexCount} vertices)`, 'success');
+        }
+    }
     
     setupEventListeners() {
         // Button listeners
@@ -1062,6 +2323,18 @@ class GraphApp {
         document.getElementById('manualMode').addEventListener('click', (e) => {
             e.preventDefault(); this.toggleManualMode();
         });
+
+        document.getElementById('removeMode').addEventListener('click', (e) => {
+            e.preventDefault(); this.toggleRemoveMode();
+        });
+
+        document.getElementById('peelVertices').addEventListener('click', (e) => {
+            e.preventDefault(); this.peelVertices();
+        });
+
+        document.getElementById('flipMode').addEventListener('click', (e) => {
+            e.preventDefault(); this.toggleFlipMode();
+        });
         
         document.getElementById('centerGraph').addEventListener('click', (e) => {
             e.preventDefault(); this.centerGraph();
@@ -1080,7 +2353,7 @@ class GraphApp {
         });
         
         document.getElementById('redrawOptimize').addEventListener('click', (e) => {
-            e.preventDefault(); this.redrawOptimize();
+            e.preventDefault(); this.redraw();
         });
         
         document.getElementById('goToBtn').addEventListener('click', (e) => {
@@ -1099,6 +2372,105 @@ class GraphApp {
         document.getElementById('stopAuto').addEventListener('click', (e) => {
             e.preventDefault(); this.stopAutomaticMode();
         });
+        document.getElementById('coloringMode').addEventListener('change', (e) => {
+            this.setColoringMode(e.target.value);
+        });
+        document.getElementById('kempeMode').addEventListener('click', (e) => {
+            e.preventDefault(); this.toggleKempeMode();
+        });
+        document.getElementById('relaxLayout').addEventListener('click', (e) => {
+            e.preventDefault(); this.toggleRelaxation();
+        });
+        document.getElementById('schnyderTrees').addEventListener('click', (e) => {
+            e.preventDefault(); this.toggleSchnyderTrees();
+        });
+        document.getElementById('kempeNext').addEventListener('click', (e) => {
+            e.preventDefault(); this.kempeNext();
+        });
+        document.getElementById('kempeFinish').addEventListener('click', (e) => {
+            e.preventDefault(); this.kempeFinish();
+        });
+        document.getElementById('randomSeed').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault(); this.applyTypedSeed();
+            }
+        });
+        document.getElementById('newSeed').addEventListener('click', (e) => {
+            e.preventDefault(); this.applySeed(SeededRandom.randomSeed());
+        });
+        document.getElementById('undoBtn').addEventListener('click', (e) => {
+            e.preventDefault(); this.undo();
+        });
+        document.getElementById('redoBtn').addEventListener('click', (e) => {
+            e.preventDefault(); this.redo();
+        });
+        document.getElementById('saveSession').addEventListener('click', (e) => {
+            e.preventDefault(); this.saveSession();
+        });
+        document.getElementById('loadSession').addEventListener('click', (e) => {
+            e.preventDefault(); document.getElementById('sessionFile').click();
+        });
+        document.getElementById('sessionFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow re-loading the same file
+            if (file) this.loadSessionFile(file);
+        });
+        document.getElementById('showScript').addEventListener('click', (e) => {
+            e.preventDefault(); this.showConstructionScript();
+        });
+        document.getElementById('replayAll').addEventListener('click', (e) => {
+            e.preventDefault(); this.replayAll();
+        });
+        document.getElementById('replayStep').addEventListener('click', (e) => {
+            e.preventDefault(); this.replayStep();
+        });
+        // Editing the script restarts step-by-step replay from its first line
+        document.getElementById('constructionScript').addEventListener('input', () => this.resetReplay());
+        document.getElementById('exportSvg').addEventListener('click', (e) => {
+            e.preventDefault(); this.exportSvg();
+        });
+        document.getElementById('exportData').addEventListener('click', (e) => {
+            e.preventDefault(); this.exportGraphData();
+        });
+        document.getElementById('importData').addEventListener('click', (e) => {
+            e.preventDefault(); document.getElementById('graphDataFile').click();
+        });
+        document.getElementById('graphDataFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importGraphFile(file);
+        });
+        document.getElementById('exportPng').addEventListener('click', (e) => {
+            e.preventDefault(); this.openPngDialog();
+        });
+        document.getElementById('pngExportForm').addEventListener('input', () => this.updatePngDialog());
+        document.getElementById('pngExportForm').addEventListener('submit', (e) => {
+            e.preventDefault(); this.exportPng();
+        });
+        document.getElementById('pngCancel').addEventListener('click', (e) => {
+            e.preventDefault(); document.getElementById('pngExportDialog').close();
+        });
+        document.getElementById('keepSnapshot').addEventListener('click', (e) => {
+            e.preventDefault(); this.keepSnapshot();
+        });
+        document.getElementById('snapshotName').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.keepSnapshot();
+        });
+        document.getElementById('crossingList').addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-index]');
+            if (!item) return;
+            e.preventDefault();
+            this.focusCrossing(Number(item.dataset.index));
+        });
+        document.getElementById('snapshotList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            e.preventDefault();
+            const id = button.closest('li').dataset.id;
+            if (button.dataset.action === 'restore') this.restoreSnapshot(id);
+            if (button.dataset.action === 'rename') this.renameSnapshot(id);
+            if (button.dataset.action === 'delete') this.deleteSnapshot(id);
+        });
         
         
         // Canvas listeners
@@ -1120,21 +2492,43 @@ class GraphApp {
     // Automatic mode: repeatedly add random segments and adjust height
     startAutomaticMode() {
         if (this.isAutomaticRunning) return;
+        this.applyTypedSeed();
         this.isAutomaticRunning = true;
         this.showMessage('Automatic mode started: adding random vertices and adjusting height...', 'info');
 
         const runStep = () => {
             if (!this.isAutomaticRunning) return;
 
-            // Try to add random segment until success or user stops
-            let result;
-            let attempts = 0;
-            const maxAttempts = 100; // Prevent infinite loop
-
-            do {
-                result = this.graph.addRandomSegment();
-                attempts++;
-            } while (!result.success && attempts < maxAttempts && this.isAutomaticRunning);
+            // Add and push outward as one undo step
+            const result = this.history.transaction('Auto mode step', () => {
+                // Try to add random segment until success or user stops
+                let result;
+                let attempts = 0;
+                const maxAttempts = 100; // Prevent infinite loop
+
+                do {
+                    result = this.graph.addRandomSegment();
+                    attempts++;
+                } while (!result.success && attempts < maxAttempts && this.isAutomaticRunning);
+
+                if (!result.success) return result;
+
+                // After adding, ensure the new vertex connects to all in-between vertices
+                // The graph.addRandomSegment() already connects the new vertex to all in-between periphery vertices
+                // So nothing extra is needed here
+
+                // Adjust height of the last added vertex (move it slightly outward)
+                const lastVertexIdx = this.graph.vertices.length - 1;
+                const vertex = this.graph.vertices[lastVertexIdx];
+                const center = this.graph.calculateGraphCenter();
+                const dx = vertex.x - center.x;
+                const dy = vertex.y - center.y;
+                const len = Math.sqrt(dx * dx + dy * dy) || 1;
+                const pushed = this.graph.constrainMove(lastVertexIdx, { x: vertex.x + (dx / len) * 30, y: vertex.y + (dy / len) * 60 });
+                this.graph.moveVertex(lastVertexIdx, pushed.x, pushed.y);
+                this.graph.updatePeriphery();
+                return result;
+            });
 
             if (!result.success) {
                 // No valid segment found, but keep trying unless stopped by user
@@ -1142,28 +2536,19 @@ class GraphApp {
                 return;
             }
 
-            // After adding, ensure the new vertex connects to all in-between vertices
-            // The graph.addRandomSegment() already connects the new vertex to all in-between periphery vertices
-            // So nothing extra is needed here
-
             this.showDetailedMessage(result.message, 'success');
-            this.renderer.render();
+            this.autosave();
+            this.checkChangedVertices([this.graph.vertices.length - 1]);
             this.updateUI();
 
-            // Adjust height of the last added vertex (move it slightly outward)
-            const lastVertexIdx = this.graph.vertices.length - 1;
-            const vertex = this.graph.vertices[lastVertexIdx];
-            const center = this.graph.calculateGraphCenter();
-            const dx = vertex.x - center.x;
-            const dy = vertex.y - center.y;
-            const len = Math.sqrt(dx * dx + dy * dy) || 1;
-            vertex.x += (dx / len) * 30;
-            vertex.y += (dy / len) * 60;
-            this.graph.updatePeriphery();
-
             // Center and fit the graph after each step
             this.renderer.centerAndFit();
 
+            // Pause on a coloring conflict so the repair can be stepped through
+            if (this.startKempeWalkthrough()) {
+                return;
+            }
+
             // Continue after short delay
             setTimeout(runStep, 600);
         };
@@ -1200,11 +2585,27 @@ class GraphApp {
             const vertexIndex = this.renderer.getVertexAt(x, y);
 
             if (vertexIndex !== -1 && this.graph.vertices[vertexIndex].visible) {
+                // The user takes over from the force layout
+                if (this.relaxation !== null) {
+                    this.stopRelaxation(`Relaxation stopped - dragging V${this.graph.vertices[vertexIndex].id}`);
+                }
                 this.adjustingVertexIndex = vertexIndex;
+                this.adjustStartSnapshot = this.history.capture();
+                // Spacing already short stays as it is; the region is fixed for the drag
+                this.adjustBaseline = this.graph.getSpacingBaseline(vertexIndex);
+                this.adjustRegion = this.graph.getMoveRegion(vertexIndex, this.renderer.getWorldBounds(),
+                    8 / this.renderer.zoom, this.adjustBaseline);
+                this.renderer.moveRegion = this.adjustRegion;
+                this.renderer.render();
                 this.isDraggingVertex = true;
                 this.lastMousePos = { x, y };
                 canvas.style.cursor = 'move';
-                this.showMessage(`Adjusting vertex V${this.graph.vertices[vertexIndex].id}. Drag to change position.`, 'info');
+                const id = this.graph.vertices[vertexIndex].id;
+                if (this.adjustRegion.isEmpty()) {
+                    this.showMessage(`V${id} has no room to move at this zoom - zoom in or pick another vertex`, 'warning');
+                } else {
+                    this.showMessage(`Adjusting vertex V${id}. Drag within the shaded region.`, 'info');
+                }
             }
         };
 
@@ -1214,10 +2615,11 @@ class GraphApp {
             const x = e.clientX - rect.left;
             const y = e.clientY - rect.top;
             const worldPos = this.renderer.screenToWorld(x, y);
-            const vertex = this.graph.vertices[this.adjustingVertexIndex];
-            vertex.x = worldPos.x;
-            vertex.y = worldPos.y;
+            // Clamp to the region, sliding along its edge when the mouse is outside it
+            const p = this.graph.constrainMove(this.adjustingVertexIndex, worldPos, this.adjustRegion, this.adjustBaseline);
+            this.graph.moveVertex(this.adjustingVertexIndex, p.x, p.y);
             this.graph.updatePeriphery();
+            // The crossing report is refreshed once, on mouseup; a sweep per event is too slow
             this.renderer.render();
         };
 
@@ -1225,9 +2627,31 @@ class GraphApp {
             if (!this.isAdjustingHeight) return;
             this.isDraggingVertex = false;
             if (this.adjustingVertexIndex !== null) {
-                const vertex = this.graph.vertices[this.adjustingVertexIndex];
-                this.showMessage(`Vertex V${vertex.id} position adjusted to (${Math.round(vertex.x)}, ${Math.round(vertex.y)})`, 'success');
+                const idx = this.adjustingVertexIndex;
+                const vertex = this.graph.vertices[idx];
+                const start = this.adjustStartSnapshot.vertices[idx];
+                // The sampled region can miss a sliver; the drop itself is checked exactly
+                const check = this.graph.checkVertexPosition(idx, vertex, this.adjustBaseline);
+                const incident = this.graph.getSpatialIndex().incident[idx];
+                const integrity = check.valid ? this.graph.validateGraphIntegrity(incident) : check;
+                if (!integrity.valid) {
+                    this.graph.moveVertex(idx, start.x, start.y);
+                    this.graph.updatePeriphery();
+                    this.showMessage(`V${vertex.id} snapped back: ${integrity.message}`, 'error');
+                } else if (start.x !== vertex.x || start.y !== vertex.y) {
+                    this.checkChangedEdges(incident);
+                    this.history.commit(`Move V${vertex.id}`, this.adjustStartSnapshot);
+                    this.autosave();
+                    this.showMessage(`Vertex V${vertex.id} position adjusted to (${Math.round(vertex.x)}, ${Math.round(vertex.y)})`, 'success');
+                }
                 this.adjustingVertexIndex = null;
+                this.adjustStartSnapshot = null;
+                this.adjustBaseline = null;
+                this.adjustRegion = null;
+                this.renderer.moveRegion = null;
+                this.renderer.render();
+                // Refreshes the crossing report as well
+                this.updateUI();
             }
             canvas.style.cursor = this.graph.manualMode ? 'crosshair' : 'grab';
             // End adjustment mode
@@ -1236,8 +2660,8 @@ class GraphApp {
             canvas.removeEventListener('mousedown', onMouseDown);
             canvas.removeEventListener('mousemove', onMouseMove);
             canvas.removeEventListener('mouseup', onMouseUp);
-            // Restore default handlers
-            this.setupEventListeners();
+            // Default handlers stay attached for the whole session; re-registering
+            // them here would make every button fire once more per adjustment
         };
 
         // Attach listeners
@@ -1271,6 +2695,7 @@ class GraphApp {
             if (this.graph.selectedVertices.length === 2) {
                 const result = this.graph.processSegmentSelection();
                 this.showDetailedMessage(result.message, result.success ? 'success' : 'error');
+                if (result.success) this.checkChangedVertices([this.graph.vertices.length - 1]);
                 this.updateUI();
             }
             this.renderer.render();
@@ -1295,7 +2720,9 @@ class GraphApp {
         e.target.style.cursor = this.graph.manualMode ? 'crosshair' : 'grab';
     }
     startTriangle() {
-        this.graph.initializeTriangle();
+        this.history.transaction('Start triangle', () => this.graph.initializeTriangle());
+        this.planarity = null;
+        this.endKempeWalkthrough();
         this.graph.manualMode = false;
         this.updateManualModeUI();
         this.renderer.centerAndFit();
@@ -1306,6 +2733,7 @@ class GraphApp {
     addRandomSegment() {
         const result = this.graph.addRandomSegment();
         this.showDetailedMessage(result.message, result.success ? 'success' : 'error');
+        if (result.success) this.checkChangedVertices([this.graph.vertices.length - 1]);
         this.renderer.render();
         this.updateUI();
     }
@@ -1495,6 +2923,11 @@ class GraphApp {
         // Clear selections when leaving manual mode
         this.graph.selectedVertices = [];
         this.graph.segmentVertices = [];
+    } else {
+        // The group selection and removal only work outside manual mode
+        this.selection.clear();
+        if (this.removeMode) this.toggleRemoveMode();
+        if (this.flipMode) this.toggleFlipMode();
     }
 
     this.updateManualModeUI();
@@ -1548,22 +2981,312 @@ class GraphApp {
         newZoom = Math.max(0.1, Math.min(5, newZoom));
         this.renderer.zoom = newZoom;
 
-        if (oldZoom !== this.renderer.zoom) {
-            this.renderer.render();
-            this.updateUI();
+        if (oldZoom !== this.renderer.zoom) {
+            this.renderer.render();
+            this.updateUI();
+
+            const zoomBtn = factor > 1 ? document.getElementById('zoomIn') : document.getElementById('zoomOut');
+            zoomBtn.classList.add('btn--active');
+            setTimeout(() => zoomBtn.classList.remove('btn--active'), 150);
+        }
+    }
+    
+    toggleDisplay() {
+        this.graph.showIndices = !this.graph.showIndices;
+        this.renderer.render();
+        this.showMessage(`Display mode: ${this.graph.showIndices ? 'Indices' : 'Colors'}`, 'info');
+    }
+    
+    setColoringMode(mode) {
+        this.graph.coloringMode = mode;
+        this.graph.showIndices = false;
+        this.renderer.render();
+        this.updateUI();
+        const check = this.graph.verifyColoring();
+        this.showMessage(check.valid ?
+            `Proper coloring with ${check.colorCount} colors` :
+            `Coloring check failed: ${check.message}`, check.valid ? 'success' : 'error');
+    }
+    
+    // SCHNYDER TREES - edges colored by the tree of the realizer they belong to
+    toggleSchnyderTrees() {
+        this.showSchnyderTrees = !this.showSchnyderTrees;
+        document.getElementById('schnyderTrees').classList.toggle('schnyder-mode-active', this.showSchnyderTrees);
+        this.refreshSchnyderTrees();
+        this.renderer.render();
+    }
+
+    // The realizer follows the embedding, so recompute it whenever the graph changed
+    refreshSchnyderTrees() {
+        const status = document.getElementById('schnyderStatus');
+        const wood = this.showSchnyderTrees ? this.graph.getSchnyderTrees() : null;
+        this.renderer.schnyderTrees = wood ? wood.trees : null;
+        if (!wood) {
+            status.textContent = this.showSchnyderTrees ? 'No planar embedding' : 'Off';
+            return;
+        }
+        const names = ['Red', 'Green', 'Blue'];
+        status.textContent = wood.roots.map((id, i) =>
+            `${names[i]} to ${id === null ? 'the outer apex' : `V${id}`}`).join(', ');
+    }
+
+    // KEMPE CHAINS - pause after an add whose neighbors use all four colors and replay the repair
+    toggleKempeMode() {
+        this.kempeMode = !this.kempeMode;
+        document.getElementById('kempeMode').classList.toggle('kempe-mode-active', this.kempeMode);
+        if (this.kempeMode) {
+            // Only the 4-coloring is repaired with Kempe chains
+            this.graph.coloringMode = 'four';
+            this.graph.showIndices = false;
+            document.getElementById('coloringMode').value = 'four';
+            this.graph.lastColoringRepair = null;
+            this.showMessage('Kempe mode: add vertices until one sees all four colors among its neighbors', 'info');
+        } else {
+            this.endKempeWalkthrough();
+            this.showMessage('Kempe mode off', 'info');
+        }
+        this.renderer.render();
+        this.updateUI();
+    }
+
+    // Returns true if the last add needed Kempe swaps and a walkthrough was opened
+    startKempeWalkthrough() {
+        const repair = this.graph.lastColoringRepair;
+        this.graph.lastColoringRepair = null;
+        if (!this.kempeMode || !repair) return false;
+
+        if (this.isAutomaticRunning) {
+            this.stopAutomaticMode();
+        }
+        this.renderer.kempe = new KempeWalkthrough(this.graph, repair);
+        document.getElementById('kempeLog').innerHTML = '';
+        this.logKempe(this.renderer.kempe.describeConflict(), 'conflict');
+        this.updateKempeStatus();
+        this.renderer.render();
+        this.showMessage('Coloring conflict - press Next Swap to step through the repair', 'warning');
+        return true;
+    }
+
+    kempeNext() {
+        const kempe = this.renderer.kempe;
+        if (!kempe) {
+            this.showMessage('No coloring repair in progress', 'info');
+            return;
+        }
+        const step = kempe.current;
+        this.logKempe(kempe.advance(), step.kind);
+        if (kempe.done) {
+            this.finishKempeWalkthrough();
+        } else {
+            this.updateKempeStatus();
+            this.renderer.render();
+        }
+    }
+
+    kempeFinish() {
+        const kempe = this.renderer.kempe;
+        if (!kempe) return;
+        while (!kempe.done) {
+            const step = kempe.current;
+            this.logKempe(kempe.advance(), step.kind);
+        }
+        this.finishKempeWalkthrough();
+    }
+
+    // The walkthrough ends on the graph's own coloring; check both agree and are proper
+    finishKempeWalkthrough() {
+        const kempe = this.renderer.kempe;
+        const check = VertexColoring.verify(this.graph.edges, kempe.colors);
+        const matches = kempe.colors.every((color, idx) => color === this.graph.getColoring()[idx]);
+        this.logKempe(check.valid && matches ? 'Coloring is proper again' : `Check failed: ${check.message || 'colors differ'}`,
+            check.valid && matches ? 'done' : 'error');
+        this.endKempeWalkthrough();
+        this.renderer.render();
+        this.updateUI();
+    }
+
+    endKempeWalkthrough() {
+        this.renderer.kempe = null;
+        this.updateKempeStatus();
+    }
+
+    updateKempeStatus() {
+        const kempe = this.renderer.kempe;
+        document.getElementById('kempeNext').disabled = !kempe;
+        document.getElementById('kempeFinish').disabled = !kempe;
+        document.getElementById('kempeStatus').textContent = kempe ?
+            `Step ${kempe.index + 1} of ${kempe.steps.length}: ${kempe.describe(kempe.current)}` :
+            (this.kempeMode ? 'Waiting for a coloring conflict' : 'Off');
+    }
+
+    logKempe(text, kind) {
+        const log = document.getElementById('kempeLog');
+        const item = document.createElement('li');
+        item.className = `kempe-log-${kind}`;
+        item.textContent = text;
+        log.appendChild(item);
+        log.scrollTop = log.scrollHeight;
+    }
+
+    // CROSSING REPORT - every violation from the sweep, highlighted and listed in the sidebar.
+    // Pass valid = true when a check already found the drawing planar to skip the sweep.
+    refreshCrossingReport(valid = false) {
+        const crossings = valid ? [] : this.graph.getCrossingReport();
+        const previous = this.renderer.crossings && this.renderer.crossings[this.renderer.focusedCrossing];
+        this.renderer.crossings = crossings.length > 0 ? crossings : null;
+        // Keep the focus on the same pair when a move reshapes the report
+        this.renderer.focusedCrossing = previous ?
+            crossings.findIndex(c => c.edges[0] === previous.edges[0] && c.edges[1] === previous.edges[1]) : -1;
+
+        const status = document.getElementById('crossingStatus');
+        status.textContent = crossings.length === 0 ? 'No crossings' :
+            `${crossings.length} violation${crossings.length === 1 ? '' : 's'} - click one to zoom to it`;
+        status.classList.toggle('crossing-status--error', crossings.length > 0);
+
+        const list = document.getElementById('crossingList');
+        list.innerHTML = '';
+        crossings.forEach((crossing, index) => {
+            const item = document.createElement('li');
+            item.dataset.index = index;
+            item.className = index === this.renderer.focusedCrossing ? 'crossing-focused' : '';
+            const kind = crossing.kind === 'cross' ? '' : crossing.kind === 'touch' ? ' (T-junction)' : ' (overlap)';
+            item.textContent = `${this.graph.describeCrossing(crossing.edges)}${kind} at ` +
+                `(${Math.round(crossing.point.x)}, ${Math.round(crossing.point.y)})`;
+            list.appendChild(item);
+        });
+    }
+
+    focusCrossing(index) {
+        const crossing = this.renderer.crossings && this.renderer.crossings[index];
+        if (!crossing) return;
+        this.renderer.focusedCrossing = index;
+        document.querySelectorAll('#crossingList li').forEach(item => {
+            item.classList.toggle('crossing-focused', Number(item.dataset.index) === index);
+        });
+        // Show the shorter edge whole, within sensible zoom limits
+        const length = k => {
+            const [i, j] = this.graph.edges[k];
+            const a = this.graph.vertices[i], b = this.graph.vertices[j];
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+        const span = Math.max(60, Math.min(length(crossing.edges[0]), length(crossing.edges[1])) * 1.2);
+        this.renderer.centerOn(crossing.point, span);
+        document.getElementById('zoomLevel').textContent = `Zoom: ${Math.round(this.renderer.zoom * 100)}%`;
+    }
+    
+    // Redraw button: move to the chosen layout first, or just refit and verify
+    redraw() {
+        const layout = document.getElementById('redrawLayout').value;
+        if (layout === 'tutte') {
+            this.applyLayout('Tutte layout', this.graph.getTutteLayout());
+        } else if (layout === 'schnyder') {
+            this.applyLayout('Schnyder layout', this.graph.getSchnyderLayout());
+        } else {
+            // The one place short of a load or import that checks every edge again
+            this.planarity = null;
+            this.redrawOptimize();
+        }
+    }
+
+    // Animate every vertex to its place in a computed layout of the same embedding, as one
+    // undo step. Layouts that would not be crossing-free are refused up front.
+    applyLayout(label, target) {
+        if (this.layoutAnimation !== null) return;
+        if (!target) {
+            this.showMessage(`${label} needs a planar embedding`, 'error');
+            return;
+        }
+        const check = this.graph.validateLayout(target);
+        if (!check.valid) {
+            this.showMessage(`${label} not applied - ${check.message}`, 'error');
+            return;
+        }
+        if (this.isAutomaticRunning) {
+            this.stopAutomaticMode();
+        }
+        if (this.relaxation !== null) {
+            this.stopRelaxation('Relaxation stopped for the new layout');
+        }
+
+        const before = this.history.capture();
+        const vertices = this.graph.vertices;
+        const start = vertices.map(v => ({ x: v.x, y: v.y }));
+        let began = null;
+        const frame = now => {
+            // An add, undo or load during the move replaces the drawing; leave it alone
+            if (this.graph.vertices !== vertices || vertices.length !== start.length) {
+                this.layoutAnimation = null;
+                return;
+            }
+            if (began === null) began = now;
+            const t = Math.min(1, (now - began) / LAYOUT_ANIMATION_MS);
+            const ease = t * t * (3 - 2 * t);
+            this.graph.setPositions(start.map((p, k) => ({
+                x: p.x + (target[k].x - p.x) * ease,
+                y: p.y + (target[k].y - p.y) * ease
+            })));
+            this.renderer.render();
+            if (t < 1) {
+                this.layoutAnimation = requestAnimationFrame(frame);
+                return;
+            }
+            this.layoutAnimation = null;
+            this.history.commit(label, before);
+            this.planarity = null;
+            this.autosave();
+            this.redrawOptimize();
+        };
+        this.layoutAnimation = requestAnimationFrame(frame);
+    }
+
+    // RELAXATION - planarity-preserving force-directed steps alongside whatever else is
+    // going on. Each frame moves a slice of the vertices, sized to fit RELAX_FRAME_MS, so
+    // a large graph takes several frames per sweep. Once a sweep settles the frames stop
+    // until the next change (see updateUI). Its moves are not undo steps of their own:
+    // the next add or undo step records the drawing as relaxed so far.
+    toggleRelaxation() {
+        if (this.relaxation !== null) {
+            this.stopRelaxation('Relaxation stopped');
+            return;
+        }
+        document.getElementById('relaxLayout').classList.add('relax-mode-active');
+        this.showMessage('Relaxing the layout - every step stays planar; drag a vertex to stop', 'info');
+        const relaxation = { frame: null, slice: 50, run: null };
+        relaxation.run = () => {
+            relaxation.frame = null;
+            // A layout animation owns the positions while it runs
+            if (this.layoutAnimation === null) {
+                const started = performance.now();
+                const step = this.graph.relaxLayout(relaxation.slice);
+                const elapsed = Math.max(performance.now() - started, 0.1);
+                // Steer the slice towards the frame budget, at most doubling or halving it
+                const scale = Math.min(2, Math.max(0.5, RELAX_FRAME_MS / elapsed));
+                relaxation.slice = Math.max(1, Math.min(this.graph.vertices.length, Math.round(relaxation.slice * scale)));
+                if (step.moved > 0) this.renderer.render();
+                if (step.settled) return;
+            }
+            relaxation.frame = requestAnimationFrame(relaxation.run);
+        };
+        this.relaxation = relaxation;
+        relaxation.frame = requestAnimationFrame(relaxation.run);
+    }
 
-            const zoomBtn = factor > 1 ? document.getElementById('zoomIn') : document.getElementById('zoomOut');
-            zoomBtn.classList.add('btn--active');
-            setTimeout(() => zoomBtn.classList.remove('btn--active'), 150);
+    // Pick up again after a change, if the relaxation is on but had settled
+    resumeRelaxation() {
+        if (this.relaxation !== null && this.relaxation.frame === null) {
+            this.relaxation.frame = requestAnimationFrame(this.relaxation.run);
         }
     }
-    
-    toggleDisplay() {
-        this.graph.showIndices = !this.graph.showIndices;
-        this.renderer.render();
-        this.showMessage(`Display mode: ${this.graph.showIndices ? 'Indices' : 'Colors'}`, 'info');
+
+    stopRelaxation(message) {
+        if (this.relaxation.frame !== null) cancelAnimationFrame(this.relaxation.frame);
+        this.relaxation = null;
+        document.getElementById('relaxLayout').classList.remove('relax-mode-active');
+        this.autosave();
+        this.updateUI();
+        this.showMessage(message, 'info');
     }
-    
+
     redrawOptimize() {
         // Always optimize periphery and layout after any add (manual or random)
         this.graph.updatePeriphery();
@@ -1574,39 +3297,149 @@ class GraphApp {
             this.updateSegmentVisualization();
         }
 
-        // Validate planarity after optimization
-        const integrityCheck = this.graph.validateGraphIntegrity();
+        // Report the planarity status updateUI settles on
         this.renderer.render();
         this.updateUI();
 
-        if (integrityCheck.valid) {
+        if (this.planarity.valid) {
             this.showMessage('Graph optimized - planarity confirmed', 'success');
         } else {
-            this.showMessage(`Graph optimization: ${integrityCheck.message}`, 'error');
+            this.showMessage(`Graph optimization: ${this.planarity.message}`, 'error');
         }
     }
 
     // Automatically optimize after manual add
     addRandomSegment() {
-        const result = this.graph.addRandomSegment();
+        this.applyTypedSeed();
+        // The add and the outward push form a single undo step
+        const result = this.history.transaction('Add random segment', () => {
+            const result = this.graph.addRandomSegment();
+
+            // Automatically adjust the height of the last added vertex (move it outward)
+            if (result.success) {
+                const lastVertexIdx = this.graph.vertices.length - 1;
+                const vertex = this.graph.vertices[lastVertexIdx];
+                const center = this.graph.calculateGraphCenter();
+                const dx = vertex.x - center.x;
+                const dy = vertex.y - center.y;
+                const len = Math.sqrt(dx * dx + dy * dy) || 1;
+                const pushed = this.graph.constrainMove(lastVertexIdx, { x: vertex.x + (dx / len) * 30, y: vertex.y + (dy / len) * 60 });
+                this.graph.moveVertex(lastVertexIdx, pushed.x, pushed.y);
+                this.graph.updatePeriphery();
+            }
+            return result;
+        });
         this.showDetailedMessage(result.message, result.success ? 'success' : 'error');
+        if (result.success) {
+            this.autosave();
+            this.checkChangedVertices([this.graph.vertices.length - 1]);
+        }
         this.redrawOptimize();
-
-        // Automatically adjust the height of the last added vertex (move it outward)
         if (result.success) {
-            const lastVertexIdx = this.graph.vertices.length - 1;
-            const vertex = this.graph.vertices[lastVertexIdx];
-            const center = this.graph.calculateGraphCenter();
-            const dx = vertex.x - center.x;
-            const dy = vertex.y - center.y;
-            const len = Math.sqrt(dx * dx + dy * dy) || 1;
-            vertex.x += (dx / len) * 30;
-            vertex.y += (dy / len) * 60;
-            this.graph.updatePeriphery();
-            this.renderer.centerAndFit();
+            this.startKempeWalkthrough();
+        }
+    }
+
+    // REMOVAL - taking periphery vertices off again, one click at a time or the last N
+    // in construction order. Indices shift, so index-based view state is dropped.
+    toggleRemoveMode() {
+        this.removeMode = !this.removeMode;
+        document.getElementById('removeMode').classList.toggle('remove-mode-active', this.removeMode);
+        if (this.removeMode && this.graph.manualMode) {
+            this.toggleManualMode();
+        }
+        if (this.removeMode && this.flipMode) {
+            this.toggleFlipMode();
+        }
+        this.showMessage(this.removeMode ?
+            'Remove vertex mode: click a periphery vertex to take it off' : 'Remove vertex mode off', 'info');
+    }
+
+    removeVertexAt(idx) {
+        const id = this.graph.vertices[idx].id;
+        this.applyRemoval(`Remove V${id}`, () => this.graph.removeVertex(idx));
+    }
+
+    peelVertices() {
+        const count = parseInt(document.getElementById('peelCount').value);
+        if (isNaN(count) || count < 1) {
+            this.showMessage('Please enter how many vertices to peel', 'error');
+            return;
+        }
+        this.applyRemoval(`Peel ${count} vertices`, () => this.graph.peelVertices(count));
+    }
+
+    applyRemoval(label, remove) {
+        if (this.layoutAnimation !== null) {
+            this.showMessage('Wait for the layout animation to finish before removing vertices', 'warning');
+            return;
+        }
+        // Auto mode would immediately build on top again
+        if (this.isAutomaticRunning) {
+            this.stopAutomaticMode();
+        }
+        const result = this.history.transaction(label, remove);
+        // A peel that stopped part-way keeps what it removed, but falls short of the request
+        this.showMessage(result.message, !result.success ? 'error' : result.partial ? 'warning' : 'success');
+        if (!result.success) return;
+
+        this.selection.clear();
+        this.renderer.flipPreview = null;
+        this.endKempeWalkthrough();
+        this.updateSegmentVisualization();
+        this.autosave();
+        // Removing edges cannot break planarity; a drawing that had crossings is checked again
+        this.checkChangedEdges([]);
+        this.refreshCrossingReport();
+        this.renderer.render();
+        this.updateUI();
+    }
+
+    // EDGE FLIPS - hovering an edge previews the diagonal it would flip to; clicking flips
+    // it when the drawing stays planar and says why not otherwise
+    toggleFlipMode() {
+        this.flipMode = !this.flipMode;
+        document.getElementById('flipMode').classList.toggle('flip-mode-active', this.flipMode);
+        if (this.flipMode && this.graph.manualMode) {
+            this.toggleManualMode();
+        }
+        if (this.flipMode && this.removeMode) {
+            this.toggleRemoveMode();
+        }
+        if (!this.flipMode) {
+            this.renderer.flipPreview = null;
             this.renderer.render();
-            this.updateUI();
         }
+        this.showMessage(this.flipMode ?
+            'Edge flip mode: hover an edge to see its other diagonal, click to flip it' : 'Edge flip mode off', 'info');
+    }
+
+    // Preview the flip of edge k (-1 for none) unless it is already shown
+    updateFlipPreview(k) {
+        const shown = this.renderer.flipPreview ? this.renderer.flipPreview.edge : -1;
+        if (k === shown) return;
+        this.renderer.flipPreview = k === -1 ? null : { edge: k, ...this.graph.checkEdgeFlip(k) };
+        this.renderer.render();
+    }
+
+    flipEdgeAt(k) {
+        if (this.layoutAnimation !== null) {
+            this.showMessage('Wait for the layout animation to finish before flipping edges', 'warning');
+            return;
+        }
+        const [a, b] = this.graph.edges[k].map(idx => this.graph.vertices[idx].id);
+        const result = this.history.transaction(`Flip V${a}-V${b}`, () => this.graph.flipEdge(k));
+        if (!result.success) {
+            this.showMessage(result.message, 'error');
+            return;
+        }
+        this.showMessage(result.message, 'success');
+        this.endKempeWalkthrough();
+        this.renderer.flipPreview = null;
+        this.updateFlipPreview(k);
+        this.autosave();
+        this.checkChangedEdges([k]);
+        this.updateUI();
     }
 
     // Automatically optimize after manual segment add
@@ -1629,6 +3462,7 @@ class GraphApp {
             if (this.graph.selectedVertices.length === 2) {
                 const result = this.graph.processSegmentSelection();
                 this.showDetailedMessage(result.message, result.success ? 'success' : 'error');
+                if (result.success) this.checkChangedVertices([this.graph.vertices.length - 1]);
                 this.redrawOptimize();
                 this.updateUI();
             }
@@ -1653,6 +3487,8 @@ class GraphApp {
         for (const vertex of this.graph.vertices) {
             vertex.visible = vertex.id <= vertexNum;
         }
+        // Hidden vertices drop out of the check
+        this.planarity = null;
         
         this.renderer.render();
         this.updateUI();
@@ -1666,8 +3502,27 @@ class GraphApp {
         
         const vertexIndex = this.renderer.getVertexAt(x, y);
 
+        if (this.removeMode && !this.isAdjustingHeight && vertexIndex !== -1) {
+            this.removeVertexAt(vertexIndex);
+            return;
+        }
+        const edgeIndex = this.flipMode && !this.isAdjustingHeight && vertexIndex === -1 ?
+            this.renderer.getEdgeAt(x, y) : -1;
+        if (edgeIndex !== -1) {
+            this.flipEdgeAt(edgeIndex);
+            return;
+        }
+
+        // Outside manual mode, shift and the selection handles act on the group selection
+        if (!this.graph.manualMode && !this.isAdjustingHeight && this.handleGroupMouseDown(e, x, y, vertexIndex)) {
+            return;
+        }
+
         // Only select/deselect periphery vertex in manual mode, otherwise drag
         if (this.graph.manualMode && vertexIndex !== -1 && this.graph.periphery.includes(vertexIndex)) {
+            // Undo should return to the selection as it was before this click
+            const before = this.history.capture();
+
             if (this.graph.selectedVertices.includes(vertexIndex)) {
                 // Deselect
                 this.graph.selectedVertices = this.graph.selectedVertices.filter(i => i !== vertexIndex);
@@ -1688,7 +3543,11 @@ class GraphApp {
                 
                 // Automatically optimize after successful manual segment add
                 if (result.success) {
+                    this.history.commit('Add segment', before);
+                    this.autosave();
+                    this.checkChangedVertices([this.graph.vertices.length - 1]);
                     this.redrawOptimize();
+                    this.startKempeWalkthrough();
                 } else {
                     this.updateUI();
                 }
@@ -1726,7 +3585,7 @@ class GraphApp {
                 document.querySelector('.segment-info').classList.add('active');
                 
                 // Update preview status
-                const hasValidPreview = this.graph.findNonIntersectingPosition(segmentVertices) !== null;
+                const hasValidPreview = this.graph.findAttachPosition(segmentVertices) !== null;
                 document.getElementById('intersectionPreview').textContent = 
                     hasValidPreview ? 'Valid placement found' : 'No valid placement available';
             }
@@ -1744,7 +3603,12 @@ class GraphApp {
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
         
-        if (this.isDragging) {
+        if (this.selection.drag) {
+            this.updateGroupDrag(x, y);
+        } else if (this.renderer.rubberBand) {
+            this.renderer.rubberBand.to = { x, y };
+            this.renderer.render();
+        } else if (this.isDragging) {
             const dx = x - this.lastMousePos.x;
             const dy = y - this.lastMousePos.y;
             
@@ -1759,6 +3623,10 @@ class GraphApp {
                 this.graph.hoveredVertex = vertexIndex;
                 this.renderer.render();
             }
+            // Vertices win over the edges that end at them
+            if (this.flipMode) {
+                this.updateFlipPreview(vertexIndex === -1 ? this.renderer.getEdgeAt(x, y) : -1);
+            }
             
             const worldPos = this.renderer.screenToWorld(x, y);
             document.getElementById('mouseCoords').textContent = 
@@ -1767,9 +3635,102 @@ class GraphApp {
     }
     
     handleMouseUp(e) {
+        if (this.selection.drag) {
+            this.finishGroupDrag();
+        } else if (this.renderer.rubberBand) {
+            this.finishRubberBand();
+        }
         this.isDragging = false;
         e.target.style.cursor = this.graph.manualMode ? 'crosshair' : 'grab';
     }
+
+    // GROUP SELECTION - shift+click toggles a vertex, shift+drag on empty canvas adds every
+    // vertex in the box, and a press on the selection box moves it, on a corner scales it
+    // and on the top handle rotates it. Returns whether the press was taken.
+    handleGroupMouseDown(e, x, y, vertexIndex) {
+        if (e.shiftKey && vertexIndex !== -1) {
+            this.selection.toggle(vertexIndex);
+            this.renderer.render();
+            this.showGroupSelectionMessage();
+            return true;
+        }
+        if (e.shiftKey) {
+            this.renderer.rubberBand = { from: { x, y }, to: { x, y } };
+            return true;
+        }
+
+        const mode = this.selection.hitTest(this.renderer, x, y);
+        if (!mode) return false;
+        if (this.layoutAnimation !== null) {
+            this.showMessage('Wait for the layout animation to finish before moving the selection', 'warning');
+            return true;
+        }
+        // The user takes over from the force layout
+        if (this.relaxation !== null) {
+            this.stopRelaxation(`Relaxation stopped - transforming ${this.selection.size} vertices`);
+        }
+        this.groupDragBefore = this.history.capture();
+        this.selection.begin(mode, this.renderer.screenToWorld(x, y));
+        e.target.style.cursor = mode === 'move' ? 'move' : 'grabbing';
+        return true;
+    }
+
+    // Apply the transform for the mouse at screen (x, y); a step that would break
+    // planarity is refused and the selection stays at the last one that did not
+    updateGroupDrag(x, y) {
+        const selection = this.selection;
+        const points = selection.transformed(this.renderer.screenToWorld(x, y));
+        const result = this.graph.transformVertices(selection.drag.selected, points);
+        if (!result.success && result.message !== selection.drag.blocked) {
+            this.showMessage(`${selection.describe()} held back: ${result.message}`, 'warning');
+        }
+        selection.drag.blocked = result.success ? null : result.message;
+        this.renderer.render();
+    }
+
+    finishGroupDrag() {
+        const selection = this.selection;
+        const { selected, start } = selection.drag;
+        const label = selection.describe();
+        const moved = selected.some((idx, k) =>
+            this.graph.vertices[idx].x !== start[k].x || this.graph.vertices[idx].y !== start[k].y);
+        selection.drag = null;
+        if (moved) {
+            this.history.commit(label, this.groupDragBefore);
+            this.checkChangedVertices(selected);
+            this.autosave();
+            this.showMessage(label, 'success');
+        }
+        this.groupDragBefore = null;
+        this.renderer.render();
+        this.updateUI();
+    }
+
+    finishRubberBand() {
+        const { from, to } = this.renderer.rubberBand;
+        this.renderer.rubberBand = null;
+        const inside = this.selection.verticesInside(
+            this.renderer.screenToWorld(from.x, from.y), this.renderer.screenToWorld(to.x, to.y));
+        this.selection.addAll(inside);
+        this.renderer.render();
+        this.showGroupSelectionMessage();
+    }
+
+    clearGroupSelection() {
+        if (this.selection.size === 0) return;
+        this.selection.clear();
+        this.renderer.render();
+        this.showGroupSelectionMessage();
+    }
+
+    showGroupSelectionMessage() {
+        const count = this.selection.size;
+        if (count === 0) {
+            this.showMessage('Selection cleared', 'info');
+        } else {
+            this.showMessage(`${count} vertices selected - drag inside the box to move, a corner to scale, the top handle to rotate; Esc clears`, 'info');
+        }
+    }
     
     handleWheel(e) {
         e.preventDefault();
@@ -1778,7 +3739,17 @@ class GraphApp {
     }
     
     handleKeyDown(e) {
-        if (e.target.tagName === 'INPUT') return;
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return;
+        }
         
         switch (e.key.toLowerCase()) {
             case 's': e.preventDefault(); this.startTriangle(); break;
@@ -1788,20 +3759,37 @@ class GraphApp {
             case 't': e.preventDefault(); this.toggleDisplay(); break;
             case '+': case '=': e.preventDefault(); this.zoom(1.2); break;
             case '-': e.preventDefault(); this.zoom(0.8); break;
-            case 'd': e.preventDefault(); this.redrawOptimize(); break;
-            case 'a': e:preventDefault(); this.startAutomaticMode(); break;
+            case 'd': e.preventDefault(); this.redraw(); break;
+            case 'a': e.preventDefault(); this.startAutomaticMode(); break;
             case 'b': e.preventDefault(); this.stopAutomaticMode(); break;
+            case 'escape': this.clearGroupSelection(); break;
         }
     }
     
+    // PLANARITY STATUS - a full integrity check costs far more than an add on a large graph,
+    // so an add, move or flip checks only the edges it touched. That is enough while the
+    // rest is known to be planar; otherwise the next updateUI checks every edge, as it does
+    // after a load, import, undo or "Redraw & Verify" (which clear this.planarity).
+    checkChangedEdges(edgeIndices) {
+        this.planarity = this.planarity && this.planarity.valid ?
+            this.graph.validateGraphIntegrity(edgeIndices) : null;
+    }
+
+    checkChangedVertices(indices) {
+        const incident = this.graph.getSpatialIndex().incident;
+        this.checkChangedEdges([...new Set(indices.flatMap(idx => incident[idx]))]);
+    }
+
     updateUI() {
+        this.resumeRelaxation();
         const visibleVertices = this.graph.vertices.filter(v => v.visible).length;
         document.getElementById('vertexCount').textContent = visibleVertices;
         document.getElementById('edgeCount').textContent = this.graph.edges.length;
         document.getElementById('peripheryCount').textContent = this.graph.periphery.length;
         
         // Update planarity status
-        const integrityCheck = this.graph.validateGraphIntegrity();
+        if (this.planarity === null) this.planarity = this.graph.validateGraphIntegrity();
+        const integrityCheck = this.planarity;
         const planarityStatus = document.getElementById('planarityStatus');
         if (integrityCheck.valid) {
             planarityStatus.textContent = '✓ Confirmed';
@@ -1810,15 +3798,427 @@ class GraphApp {
             planarityStatus.textContent = '✗ Violated';
             planarityStatus.className = 'status status--error';
         }
+        const highlighted = this.renderer.crossings !== null;
+        this.refreshCrossingReport(integrityCheck.valid);
+        this.refreshSchnyderTrees();
+        if (highlighted || this.renderer.crossings || this.renderer.schnyderTrees) this.renderer.render();
         
         const mode = this.graph.manualMode ? 
             `Manual Segment Mode (${this.graph.selectedVertices.length}/2 selected)` : 'Normal Mode';
         document.getElementById('currentMode').textContent = mode;
         
         document.getElementById('zoomLevel').textContent = `Zoom: ${Math.round(this.renderer.zoom * 100)}%`;
+
+        document.getElementById('undoBtn').disabled = !this.history.canUndo();
+        document.getElementById('redoBtn').disabled = !this.history.canRedo();
+
+        const coloringCheck = this.graph.verifyColoring();
+        const coloringStatus = document.getElementById('coloringStatus');
+        if (coloringCheck.valid) {
+            coloringStatus.textContent = `✓ ${coloringCheck.colorCount} colors`;
+            coloringStatus.className = 'status status--success';
+        } else {
+            coloringStatus.textContent = '✗ Improper';
+            coloringStatus.className = 'status status--error';
+        }
+
+        // Leave the seed box alone while the user is typing a new seed into it
+        const seedInput = document.getElementById('randomSeed');
+        if (document.activeElement !== seedInput) {
+            seedInput.value = this.graph.random.seed;
+        }
         
         // this.updateSegmentVisualization();
     }
+
+    saveSession() {
+        const session = GraphSession.serialize(this.graph, this.renderer);
+        const stamp = session.savedAt.replace(/[:.]/g, '-');
+        this.downloadFile(JSON.stringify(session, null, 2), `graph-session-${stamp}.json`, 'application/json');
+        this.showMessage(`Session saved (${this.graph.vertices.length} vertices, ${this.graph.edges.length} edges)`, 'success');
+    }
+
+    loadSessionFile(file) {
+        file.text().then(text => {
+            const parsed = GraphSession.parse(text);
+            if (!parsed.success) {
+                this.showMessage(`Could not load "${file.name}": ${parsed.message}`, 'error');
+                return;
+            }
+
+            if (this.isAutomaticRunning) {
+                this.stopAutomaticMode();
+            }
+            this.history.transaction('Load session', () => GraphSession.apply(parsed.session, this.graph, this.renderer));
+            this.planarity = null;
+            this.endKempeWalkthrough();
+            if (!parsed.session.view) {
+                this.renderer.centerAndFit();
+            }
+            this.updateSegmentVisualization();
+            this.renderer.render();
+            this.autosave();
+            this.updateUI();
+            this.showMessage(`Loaded "${file.name}" (${this.graph.vertices.length} vertices)`, 'success');
+        }).catch(err => {
+            this.showMessage(`Could not read "${file.name}": ${err.message}`, 'error');
+        });
+    }
+
+    // A seed typed into the sidebar takes effect before the next random step
+    applyTypedSeed() {
+        const text = document.getElementById('randomSeed').value.trim();
+        if (text && SeededRandom.normalizeSeed(text) !== this.graph.random.seed) {
+            this.applySeed(text);
+        }
+    }
+
+    applySeed(value) {
+        if (this.isAutomaticRunning) {
+            this.stopAutomaticMode();
+        }
+        const seed = SeededRandom.normalizeSeed(value);
+        this.history.transaction(`Seed ${seed}`, () => this.graph.setSeed(seed));
+        this.planarity = null;
+        this.endKempeWalkthrough();
+        document.getElementById('randomSeed').value = seed;
+        this.updateSegmentVisualization();
+        this.renderer.centerAndFit();
+        this.autosave();
+        this.updateUI();
+        this.showMessage(`Seed ${seed}: restarted from the triangle`, 'info');
+    }
+
+    showConstructionScript() {
+        document.getElementById('constructionScript').value = this.graph.getConstructionScript();
+        this.resetReplay();
+        this.showMessage(`Construction script has ${this.graph.constructionSteps.length} step(s)`, 'info');
+    }
+
+    replayAll() {
+        if (this.isAutomaticRunning) {
+            this.stopAutomaticMode();
+        }
+        const text = document.getElementById('constructionScript').value;
+        const result = this.history.transaction('Replay script', () => this.graph.replayConstructionScript(text));
+        this.resetReplay();
+        if (!result.success) {
+            this.showMessage(`Replay failed: ${result.message}`, 'error');
+            return;
+        }
+        this.planarity = null;
+        this.afterReplay();
+        this.showMessage(result.message, 'success');
+    }
+
+    // Apply the next script line; the first click also resets to the triangle if the script asks for it
+    replayStep() {
+        if (this.isAutomaticRunning) {
+            this.stopAutomaticMode();
+        }
+
+        let state = this.replayState;
+        if (!state) {
+            const parsed = Graph.parseConstructionScript(document.getElementById('constructionScript').value);
+            if (!parsed.success) {
+                this.showMessage(`Replay failed: ${parsed.message}`, 'error');
+                return;
+            }
+            state = { steps: parsed.steps, fromTriangle: parsed.fromTriangle, next: 0 };
+        }
+        if (state.next >= state.steps.length) {
+            this.showMessage('Script finished - edit it or press Replay All', 'info');
+            return;
+        }
+
+        const step = state.steps[state.next];
+        const result = this.history.transaction(`Replay V${step.id}`, () => {
+            const before = this.graph.createSnapshot();
+            if (state.next === 0 && state.fromTriangle) {
+                this.graph.initializeTriangle();
+            }
+            const stepResult = this.graph.applyConstructionStep(step);
+            if (!stepResult.success) {
+                this.graph.restoreSnapshot(before);
+            }
+            return stepResult;
+        });
+        if (!result.success) {
+            this.showMessage(`Replay failed: ${result.message}`, 'error');
+            return;
+        }
+
+        state.next++;
+        this.replayState = state;
+        if (state.next === 1 && state.fromTriangle) {
+            this.planarity = null;
+        } else {
+            this.checkChangedVertices([this.graph.vertices.length - 1]);
+        }
+        this.afterReplay();
+        document.getElementById('replayStatus').textContent = `Step ${state.next} of ${state.steps.length}`;
+        this.showMessage(result.message, 'success');
+    }
+
+    resetReplay() {
+        this.replayState = null;
+        document.getElementById('replayStatus').textContent = '';
+    }
+
+    afterReplay() {
+        this.endKempeWalkthrough();
+        this.graph.selectedVertices = [];
+        this.graph.segmentVertices = [];
+        this.updateSegmentVisualization();
+        this.renderer.centerAndFit();
+        this.autosave();
+        this.updateUI();
+    }
+
+    exportSvg() {
+        const mode = document.getElementById('exportArea').value;
+        const svg = new SvgExporter(this.renderer).export(mode);
+        if (!svg) {
+            this.showMessage('Nothing to export - no vertices are visible', 'error');
+            return;
+        }
+        this.downloadFile(svg, `graph-${this.graph.vertices.length}v.svg`, 'image/svg+xml');
+        this.showMessage(`SVG exported (${mode === 'viewport' ? 'current view' : 'fit to graph'})`, 'success');
+    }
+
+    exportGraphData() {
+        const format = document.getElementById('dataFormat').value;
+        const info = GRAPH_FORMATS[format];
+        const content = GraphFormats.export(format, this.graph);
+        this.downloadFile(content, `graph-${this.graph.vertices.length}v.${info.extension}`, info.mime);
+        this.showMessage(`${info.label} exported (${this.graph.vertices.length} vertices, ${this.graph.edges.length} edges)`, 'success');
+    }
+
+    importGraphFile(file) {
+        // The file extension wins over the menu so a .dot file is never read as GraphML
+        const format = GraphFormats.detectFormat(file.name) || document.getElementById('dataFormat').value;
+        const label = GRAPH_FORMATS[format].label;
+
+        const read = GRAPH_FORMATS[format].binary ?
+            file.arrayBuffer().then(buffer => new Uint8Array(buffer)) : file.text();
+        read.then(content => {
+            const result = GraphFormats.import(format, content);
+            if (!result.success) {
+                this.showMessage(`Import of "${file.name}" rejected: ${result.message}`, 'error');
+                return;
+            }
+
+            if (this.isAutomaticRunning) {
+                this.stopAutomaticMode();
+            }
+            this.history.transaction(`Import ${label}`, () => GraphSession.applyGraph(result.state, this.graph));
+            this.planarity = null;
+            this.endKempeWalkthrough();
+            this.updateSegmentVisualization();
+            this.renderer.centerAndFit();
+            this.autosave();
+            this.updateUI();
+            this.showMessage(`Imported ${label} "${file.name}" (${this.graph.vertices.length} vertices, ${result.layout})`, 'success');
+        }).catch(err => {
+            this.showMessage(`Could not read "${file.name}": ${err.message}`, 'error');
+        });
+    }
+
+    openPngDialog() {
+        document.getElementById('pngArea').value = document.getElementById('exportArea').value;
+        this.updatePngDialog();
+        document.getElementById('pngExportDialog').showModal();
+    }
+
+    readPngOptions() {
+        const background = document.getElementById('pngBackground').value;
+        return {
+            mode: document.getElementById('pngArea').value,
+            scale: parseFloat(document.getElementById('pngScale').value),
+            dpi: parseFloat(document.getElementById('pngDpi').value),
+            background: background === 'custom' ? document.getElementById('pngBackgroundColor').value : background
+        };
+    }
+
+    updatePngDialog() {
+        const options = this.readPngOptions();
+        document.getElementById('pngBackgroundColor').disabled = document.getElementById('pngBackground').value !== 'custom';
+
+        const info = document.getElementById('pngSizeInfo');
+        if (!(options.scale > 0) || !(options.dpi > 0)) {
+            info.textContent = 'Scale and DPI must be positive numbers';
+            return;
+        }
+        const size = new PngExporter(this.renderer).getPixelSize(options.mode, options.scale);
+        info.textContent = size ? `Output: ${size.width} × ${size.height} px at ${options.dpi} DPI` : 'No visible vertices to export';
+    }
+
+    exportPng() {
+        const options = this.readPngOptions();
+        if (!(options.scale > 0) || !(options.dpi > 0)) {
+            this.showMessage('Scale and DPI must be positive numbers', 'error');
+            return;
+        }
+
+        new PngExporter(this.renderer).export(options).then(result => {
+            if (!result.success) {
+                this.showMessage(result.message, 'error');
+                return;
+            }
+            document.getElementById('pngExportDialog').close();
+            this.downloadFile(result.blob, `graph-${this.graph.vertices.length}v@${options.scale}x.png`, 'image/png');
+            this.showMessage(`PNG exported (${result.width} × ${result.height} px)`, 'success');
+        });
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    undo() {
+        this.restoreFromHistory(() => this.history.undo(), 'Undo');
+    }
+
+    redo() {
+        this.restoreFromHistory(() => this.history.redo(), 'Redo');
+    }
+
+    restoreFromHistory(step, verb) {
+        // A running auto mode would immediately build on top of the restored state
+        if (this.isAutomaticRunning) {
+            this.stopAutomaticMode();
+        }
+
+        const label = step();
+        if (label === null) {
+            this.showMessage(`Nothing to ${verb.toLowerCase()}`, 'info');
+            return;
+        }
+        this.planarity = null;
+        this.endKempeWalkthrough();
+        this.renderer.flipPreview = null;
+
+        this.updateSegmentVisualization();
+        this.renderer.render();
+        this.autosave();
+        this.updateUI();
+        this.showMessage(`${verb}: ${label}`, 'info');
+    }
+
+    // Crash-recovery checkpoint; warns once if storage is unavailable or full
+    autosave() {
+        const result = this.sessionStore.saveAutosave(GraphSession.serialize(this.graph, this.renderer));
+        if (!result.success && !this.autosaveWarned) {
+            this.autosaveWarned = true;
+            this.showMessage(`Autosave disabled: ${result.message}`, 'warning');
+        }
+    }
+
+    keepSnapshot() {
+        const input = document.getElementById('snapshotName');
+        const name = input.value.trim() || `${this.graph.vertices.length} vertices`;
+        const result = this.sessionStore.saveSnapshot(name, GraphSession.serialize(this.graph, this.renderer));
+        if (!result.success) {
+            this.showMessage(`Could not keep snapshot: ${result.message}`, 'error');
+            return;
+        }
+        input.value = '';
+        this.renderSnapshotList();
+        this.showMessage(`Snapshot "${name}" kept`, 'success');
+    }
+
+    restoreSnapshot(id) {
+        const entry = this.sessionStore.listSnapshots().find(e => e.id === id);
+        const parsed = this.sessionStore.loadSnapshot(id);
+        if (!entry || !parsed.success) {
+            this.showMessage(`Could not restore snapshot: ${parsed.message || 'not found'}`, 'error');
+            return;
+        }
+
+        if (this.isAutomaticRunning) {
+            this.stopAutomaticMode();
+        }
+        this.history.transaction(`Restore "${entry.name}"`, () => GraphSession.apply(parsed.session, this.graph, this.renderer));
+        this.planarity = null;
+        this.endKempeWalkthrough();
+        this.updateSegmentVisualization();
+        this.renderer.render();
+        this.autosave();
+        this.updateUI();
+        this.showMessage(`Restored snapshot "${entry.name}"`, 'success');
+    }
+
+    renameSnapshot(id) {
+        const entry = this.sessionStore.listSnapshots().find(e => e.id === id);
+        if (!entry) return;
+        const name = window.prompt('Rename snapshot', entry.name);
+        if (name === null || !name.trim()) return;
+
+        const result = this.sessionStore.renameSnapshot(id, name.trim());
+        if (!result.success) {
+            this.showMessage(`Could not rename snapshot: ${result.message}`, 'error');
+            return;
+        }
+        this.renderSnapshotList();
+    }
+
+    deleteSnapshot(id) {
+        const entry = this.sessionStore.listSnapshots().find(e => e.id === id);
+        if (!entry) return;
+        this.sessionStore.deleteSnapshot(id);
+        this.renderSnapshotList();
+        this.showMessage(`Snapshot "${entry.name}" deleted`, 'info');
+    }
+
+    renderSnapshotList() {
+        const list = document.getElementById('snapshotList');
+        list.innerHTML = '';
+
+        const snapshots = this.sessionStore.listSnapshots();
+        if (snapshots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'snapshot-empty';
+            empty.textContent = this.sessionStore.isAvailable() ? 'No saved snapshots' : 'Local storage unavailable';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const entry of snapshots) {
+            const item = document.createElement('li');
+            item.className = 'snapshot-item';
+            item.dataset.id = entry.id;
+
+            const label = document.createElement('div');
+            label.className = 'snapshot-label';
+            const name = document.createElement('span');
+            name.className = 'snapshot-name';
+            name.textContent = entry.name;
+            const meta = document.createElement('small');
+            meta.textContent = `${entry.vertexCount} vertices · ${new Date(entry.savedAt).toLocaleString()}`;
+            label.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'snapshot-actions';
+            for (const [action, text] of [['restore', 'Open'], ['rename', 'Rename'], ['delete', 'Delete']]) {
+                const button = document.createElement('button');
+                button.className = 'btn btn--outline btn--sm';
+                button.dataset.action = action;
+                button.textContent = text;
+                actions.appendChild(button);
+            }
+
+            item.append(label, actions);
+            list.appendChild(item);
+        }
+    }
     
     showMessage(text, type = 'info') {
         const container = document.getElementById('messageContainer');
@@ -0,0 +1,3761 @@
+// GRAPH CORE - the geometric and combinatorial model behind the drawing app, with no
+// document/window access so it also runs headless in Node (batch experiments, tests).
+//
+// Browser: load with <script src="graph-core.js"> before app.js; the classes become globals.
+// Node (CommonJS): const { Graph } = require('./graph-core.js');
+// Node (ES modules): import { Graph } from './graph-core.mjs';
+//
+// Programmatic API (vertices are addressed by their id, V1..Vn):
+//   const graph = new Graph();           // starts as the V1-V2-V3 triangle
+//   graph.setSeed(42);                   // reseed and restart, for reproducible runs
+//   graph.addSegment(1, 3);              // new vertex joined to the periphery path V1..V3
+//   graph.addRandomSegment();            // same, with a random periphery path
+//   graph.getPeripheryIds();             // clockwise periphery, e.g. [1, 2, 3, 4]
+//   graph.getNeighborIds(4);             // sorted neighbor ids
+//   graph.getState();                    // { vertices, edges (id pairs), periphery, seed }
+//   graph.validateGraphIntegrity();      // { valid, message } - no crossings or overlaps
+//   graph.getCrossingReport();           // every crossing pair with its point, [] if planar
+//   graph.verifyColoring();              // { valid, colorCount } for the proper 4-coloring
+//   graph.getConstructionScript();       // text that replayConstructionScript() rebuilds
+//   graph.moveVertex(4, x, y);           // by index; keeps the spatial index in step
+//   graph.getCyclicNeighborIds(4);       // neighbor ids in clockwise order, from the embedding
+//   graph.getFaces();                    // every face as an id cycle, outer face included
+//   graph.getOuterFace();                // the outer face id cycle, in periphery order
+//   graph.getTutteLayout();              // barycentric positions by index, not yet applied
+//   graph.getSchnyderLayout();           // Schnyder grid positions by index, not yet applied
+//   graph.getSchnyderTrees();            // { trees, roots }: the Schnyder tree of every edge
+//   graph.validateLayout(points);        // { valid, message } for positions before applying
+//   graph.setPositions(points);          // move every vertex at once, same embedding
+//   graph.relaxLayout(200);              // one planarity-preserving force-directed step
+//                                        // for the next 200 vertices (default all)
+//   graph.checkVertexPosition(4, p);     // { valid, message } for moving vertex 4 to p
+//   graph.constrainMove(4, p);           // the allowed point closest to p along the way there
+//   graph.transformVertices([4, 5], ps); // move several by index at once, only if still planar
+//   graph.removeVertex(4);               // by index; undoes the segment that added a periphery vertex
+//   graph.peelVertices(3);               // remove the last 3 vertices in construction order;
+//                                        // partial: true if it stopped after removing some
+//   graph.flipEdge(7);                   // by edge index; the other diagonal of its two triangles
+// Mutating methods return { success, message } instead of throwing.
+
+class Graph {
+    constructor() {
+        this.vertices = [];
+        this.edges = [];
+        this.periphery = [];
+        this.selectedVertices = [];
+        this.segmentVertices = [];
+        this.hoveredVertex = -1;
+        this.manualMode = false;
+        this.showIndices = false;
+        this.maxVertexId = 0;
+        this.vertexRadius = 15;
+        // Construction sequence: [newId, ...segment path ids] per added vertex
+        this.constructionSteps = [];
+        this.constructionFromTriangle = true;
+        // All randomness goes through this generator so a seed reproduces a graph exactly
+        this.random = new SeededRandom(SeededRandom.randomSeed());
+        // Proper vertex colorings, computed lazily and extended as vertices are added
+        this.coloringMode = 'four'; // 'four' or 'greedy'
+        this.coloring = null;
+        this.greedyColoring = null;
+        this.lastColoringRepair = null; // { vertex, before, steps } when the last add needed Kempe swaps
+        // SpatialGrid over vertices and edges; built on first use, kept current by
+        // attachVertex and moveVertex, dropped when the whole state is replaced
+        this.spatialIndex = null;
+        // PlanarEmbedding of the graph; built on first use, kept current by attachVertex
+        // and moveVertex, and saved in snapshots so undo restores it exactly
+        this.embedding = null;
+        // Per-vertex step limits and last moves of the force relaxation, and where the
+        // current sweep over the vertices stands, see relaxLayout
+        this.relaxState = { heat: [], last: [], cursor: 0, swept: 0, farthest: 0 };
+        
+        // Initialize with basic triangle
+        this.initializeTriangle();
+    }
+    
+    initializeTriangle() {
+        this.vertices = [
+            { x: 0, y: -100, visible: true, id: 1 },
+            { x: -87, y: 50, visible: true, id: 2 },
+            { x: 87, y: 50, visible: true, id: 3 }
+        ];
+        this.edges = [[0, 1], [1, 2], [2, 0]];
+        this.periphery = [0, 1, 2];
+        this.selectedVertices = [];
+        this.segmentVertices = [];
+        this.hoveredVertex = -1;
+        this.maxVertexId = 3;
+        this.constructionSteps = [];
+        this.constructionFromTriangle = true;
+        // A fresh triangle starts the random sequence over
+        this.random.reset();
+        this.coloring = null;
+        this.greedyColoring = null;
+        this.spatialIndex = null;
+        this.embedding = null;
+    }
+
+    // Use a new seed and rebuild from the triangle, so the seed alone describes the graph
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+        this.initializeTriangle();
+    }
+    
+    // ROBUST INTERSECTION TEST - Most critical method. Any contact counts: a proper
+    // crossing, an endpoint on the other segment, or a collinear overlap.
+    segmentsIntersect(p1, p2, p3, p4) {
+        return RobustPredicates.segmentRelation(p1, p2, p3, p4) !== 'disjoint';
+    }
+    
+    // The vertex object two edges have in common (by identity, not position), or null
+    sharedVertex(edge1, edge2) {
+        if (!edge1.start || !edge1.end || !edge2.start || !edge2.end) return null;
+        if (edge1.start === edge2.start || edge1.start === edge2.end) return edge1.start;
+        if (edge1.end === edge2.start || edge1.end === edge2.end) return edge1.end;
+        return null;
+    }
+    
+    // Check if two edges share a vertex (allowed intersection)
+    edgesShareVertex(edge1, edge2) {
+        return this.sharedVertex(edge1, edge2) !== null;
+    }
+    
+    // How two edges meet: null if they are fine, else 'cross', 'touch' or 'overlap'.
+    // Edges with a common vertex may only meet there, so they fail only when collinear
+    // and leaving it in the same direction.
+    classifyEdgePair(edge1, edge2) {
+        return this.classifySegments(edge1.start, edge1.end, edge2.start, edge2.end);
+    }
+
+    // Same test on the endpoint objects a-b and c-d, without building edge objects (hot path)
+    classifySegments(a, b, c, d) {
+        let overlap = null;
+        if (a === c) overlap = RobustPredicates.adjacentOverlap(a, b, d);
+        else if (a === d) overlap = RobustPredicates.adjacentOverlap(a, b, c);
+        else if (b === c) overlap = RobustPredicates.adjacentOverlap(b, a, d);
+        else if (b === d) overlap = RobustPredicates.adjacentOverlap(b, a, c);
+        if (overlap !== null) return overlap ? 'overlap' : null;
+
+        const relation = RobustPredicates.segmentRelation(a, b, c, d);
+        return relation === 'disjoint' ? null : relation;
+    }
+    
+    describeContact(kind) {
+        return kind === 'cross' ? 'intersect' : kind === 'touch' ? 'touch (T-junction)' : 'overlap';
+    }
+    
+    // COMPREHENSIVE EDGE VALIDATION SYSTEM
+    validateNewEdges(newVertexPos, segmentVertices) {
+        const newEdges = segmentVertices.map(vIdx => ({
+            start: newVertexPos,
+            end: this.vertices[vIdx]
+        }));
+        
+        // Check EVERY new edge against every existing edge near it
+        const index = this.getSpatialIndex();
+        for (const newEdge of newEdges) {
+            for (const k of index.queryEdgesNear(newEdge.start, newEdge.end)) {
+                const existingEdge = this.edges[k];
+                const v1 = this.vertices[existingEdge[0]];
+                const v2 = this.vertices[existingEdge[1]];
+                
+                if (!v1.visible || !v2.visible) continue;
+                
+                // CRITICAL: Test for any contact other than a shared endpoint
+                const contact = this.classifySegments(newEdge.start, newEdge.end, v1, v2);
+                if (contact) {
+                    return {
+                        valid: false,
+                        message: `New edge would ${this.describeContact(contact)} existing edge V${v1.id}-V${v2.id}`,
+                        intersectingEdge: `V${v1.id}-V${v2.id}`
+                    };
+                }
+            }
+            
+            // Also check new edges against each other (they all share the new vertex)
+            for (const otherNewEdge of newEdges) {
+                if (newEdge === otherNewEdge) continue;
+                if (this.classifyEdgePair(newEdge, otherNewEdge)) {
+                    return {
+                        valid: false,
+                        message: 'New edges would overlap each other'
+                    };
+                }
+            }
+        }
+        
+        return { valid: true };
+    }
+    
+    // ENHANCED POSITION FINDING WITH INTERSECTION AVOIDANCE
+    // Where attachVertex would put a vertex joined to the segment, or null: a position
+    // drawn the way the embedding will record the new vertex (see attachableAt)
+    findAttachPosition(segmentVertices) {
+        const path = this.getPeripheryRun(segmentVertices);
+        if (!path) return null;
+        const embedding = this.getEmbedding();
+        return this.findNonIntersectingPosition(segmentVertices, embedding ? embedding.attachableAt(path, this.vertices) : null);
+    }
+
+    // With accept, a candidate must also pass accept(candidate) to be taken
+    findNonIntersectingPosition(segmentVertices, accept = null) {
+        const centroid = this.calculateCentroid(segmentVertices);
+        const graphCenter = this.calculateGraphCenter();
+        
+        // Base direction outward from graph
+        let direction = this.normalizeVector({
+            x: centroid.x - graphCenter.x,
+            y: centroid.y - graphCenter.y
+        });
+        
+        // The outside-the-graph test uses the same hull for every candidate
+        const placementArea = this.getPlacementArea(40);
+
+        // Try more distances and angles for robustness
+        const baseDistance = 80;
+        const maxAttempts = 900; // Increased attempts
+        const angleSteps = 24; // More directions
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            // Vary both distance and angle
+            const distance = baseDistance + (attempt * 10);
+            const angleOffset = (attempt % angleSteps) * (2 * Math.PI / angleSteps);
+
+            const testDirection = {
+                x: direction.x * Math.cos(angleOffset) - direction.y * Math.sin(angleOffset),
+                y: direction.x * Math.sin(angleOffset) + direction.y * Math.cos(angleOffset)
+            };
+
+            const candidate = {
+                x: centroid.x + testDirection.x * distance,
+                y: centroid.y + testDirection.y * distance
+            };
+
+            // First check basic constraints (vertex/edge overlaps)
+            const basicValidation = this.validateBasicPosition(candidate, placementArea);
+            if (!basicValidation.valid) continue;
+
+            // CRITICAL: Check if this position would cause edge intersections
+            const intersectionCheck = this.validateNewEdges(candidate, segmentVertices);
+            if (intersectionCheck.valid && (!accept || accept(candidate))) {
+                return candidate;
+            }
+        }
+
+        // As a last resort, try random positions around the centroid
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const angle = this.random.next() * 2 * Math.PI;
+            const distance = baseDistance + 100 + this.random.next() * 200;
+            const candidate = {
+                x: centroid.x + Math.cos(angle) * distance,
+                y: centroid.y + Math.sin(angle) * distance
+            };
+            const basicValidation = this.validateBasicPosition(candidate, placementArea);
+            if (!basicValidation.valid) continue;
+            const intersectionCheck = this.validateNewEdges(candidate, segmentVertices);
+            if (intersectionCheck.valid && (!accept || accept(candidate))) {
+                return candidate;
+            }
+        }
+
+        return null; // No valid position found
+    }
+    
+    calculateCentroid(segmentVertices) {
+        let cx = 0, cy = 0;
+        for (const vIdx of segmentVertices) {
+            const vertex = this.vertices[vIdx];
+            cx += vertex.x;
+            cy += vertex.y;
+        }
+        return { x: cx / segmentVertices.length, y: cy / segmentVertices.length };
+    }
+    
+    calculateGraphCenter() {
+        let gx = 0, gy = 0;
+        const visibleVertices = this.vertices.filter(v => v.visible);
+        for (const vertex of visibleVertices) {
+            gx += vertex.x;
+            gy += vertex.y;
+        }
+        return { x: gx / visibleVertices.length, y: gy / visibleVertices.length };
+    }
+    
+    normalizeVector(vector) {
+        const len = Math.sqrt(vector.x * vector.x + vector.y * vector.y);
+        if (len === 0) return { x: 1, y: 0 }; // Default direction
+        return { x: vector.x / len, y: vector.y / len };
+    }
+    
+    // MULTI-LAYER VALIDATION SYSTEM
+    validateBasicPosition(candidate, placementArea = this.getPlacementArea(40)) {
+        // Layer 1: Geometric Constraints
+        
+        // Outside placement: Must be outside convex hull with margin (cheapest test, so first)
+        if (!this.isOutsidePlacementArea(candidate, placementArea)) {
+            return { 
+                valid: false, 
+                message: "Vertex must be placed outside current graph with sufficient margin" 
+            };
+        }
+        
+        const index = this.getSpatialIndex();
+        
+        // Minimum vertex-vertex distance: 50px (increased from 44px)
+        for (const i of index.queryVertices(candidate.x - 50, candidate.y - 50, candidate.x + 50, candidate.y + 50)) {
+            if (!this.vertices[i].visible) continue;
+            const dist = this.distance(candidate, this.vertices[i]);
+            if (dist < 50) {
+                return { 
+                    valid: false, 
+                    message: "New vertex would be too close to existing vertex" 
+                };
+            }
+        }
+        
+        // Minimum vertex-edge distance: 30px (increased from 22px)
+        for (const k of index.queryEdges(candidate.x - 30, candidate.y - 30, candidate.x + 30, candidate.y + 30)) {
+            const [i, j] = this.edges[k];
+            if (!this.vertices[i].visible || !this.vertices[j].visible) continue;
+            const dist = this.pointToLineDistance(candidate, this.vertices[i], this.vertices[j]);
+            if (dist < 30) {
+                return { 
+                    valid: false, 
+                    message: "New vertex too close to existing edge" 
+                };
+            }
+        }
+        
+        return { valid: true };
+    }
+    
+    // VERTEX MOVES - where an existing vertex may go without breaking planarity or spacing
+
+    // Could vertex idx sit at p instead? The same spacing as validateBasicPosition for the
+    // vertex and for its edges, and none of its edges may meet another edge. Pairs that
+    // were already too close when baseline was taken (see getSpacingBaseline) only may
+    // not get any closer.
+    checkVertexPosition(idx, p, baseline = null) {
+        const index = this.getSpatialIndex();
+        const own = new Set(index.incident[idx]);
+        const id = i => this.vertices[i].id;
+        const tooClose = (key, distance, spacing) =>
+            distance < (baseline && baseline.has(key) ? Math.min(spacing, baseline.get(key)) : spacing);
+
+        for (const { key, distance, message } of this.spacingShortfalls(idx, p, own)) {
+            if (tooClose(key, distance, key.startsWith('v') ? 50 : 30)) return { valid: false, message };
+        }
+        for (const k of own) {
+            const u = this.edges[k][0] === idx ? this.edges[k][1] : this.edges[k][0];
+            const q = this.vertices[u];
+            for (const j of index.queryEdgesNear(p, q)) {
+                if (own.has(j)) continue;
+                const [c, d] = this.edges[j];
+                if (!this.vertices[c].visible || !this.vertices[d].visible) continue;
+                const contact = this.classifySegments(p, q, this.vertices[c], this.vertices[d]);
+                if (contact) {
+                    return { valid: false, message: `V${id(idx)}-V${id(u)} would ${this.describeContact(contact)} V${id(c)}-V${id(d)}` };
+                }
+            }
+        }
+        return { valid: true };
+    }
+
+    // Every spacing pair of vertex idx placed at p that is under 50px (vertex to vertex)
+    // or 30px (vertex to edge), as { key, distance, message }. Generated lazily so a
+    // check can stop at the first.
+    *spacingShortfalls(idx, p, own = new Set(this.getSpatialIndex().incident[idx])) {
+        const index = this.getSpatialIndex();
+        const id = i => this.vertices[i].id;
+        for (const i of index.queryVertices(p.x - 50, p.y - 50, p.x + 50, p.y + 50)) {
+            if (i === idx || !this.vertices[i].visible) continue;
+            const distance = this.distance(p, this.vertices[i]);
+            if (distance < 50) yield { key: `v${i}`, distance, message: `V${id(idx)} would be too close to V${id(i)}` };
+        }
+        for (const k of index.queryEdges(p.x - 30, p.y - 30, p.x + 30, p.y + 30)) {
+            const [i, j] = this.edges[k];
+            if (own.has(k) || !this.vertices[i].visible || !this.vertices[j].visible) continue;
+            const distance = this.pointToLineDistance(p, this.vertices[i], this.vertices[j]);
+            if (distance < 30) {
+                yield { key: `e${k}`, distance, message: `V${id(idx)} would be too close to edge V${id(i)}-V${id(j)}` };
+            }
+        }
+        for (const k of own) {
+            const u = this.edges[k][0] === idx ? this.edges[k][1] : this.edges[k][0];
+            for (const w of index.queryVerticesNear(p, this.vertices[u])) {
+                if (w === idx || w === u || !this.vertices[w].visible) continue;
+                const distance = this.pointToLineDistance(this.vertices[w], p, this.vertices[u]);
+                if (distance < 30) {
+                    yield { key: `e${k}:${w}`, distance, message: `V${id(idx)}-V${id(u)} would pass too close to V${id(w)}` };
+                }
+            }
+        }
+    }
+
+    // The spacing shortfalls of vertex idx where it is now, by key, for checkVertexPosition
+    getSpacingBaseline(idx) {
+        const baseline = new Map();
+        for (const { key, distance } of this.spacingShortfalls(idx, this.vertices[idx])) baseline.set(key, distance);
+        return baseline;
+    }
+
+    // The positions within bounds that vertex idx can be dragged to from where it is,
+    // sampled every step (see MoveRegion). Other vertices stay put during a drag, so the
+    // region holds for the whole drag.
+    getMoveRegion(idx, bounds, step, baseline = this.getSpacingBaseline(idx)) {
+        return MoveRegion.sample(p => this.checkVertexPosition(idx, p, baseline).valid, this.vertices[idx], bounds, step);
+    }
+
+    // Where vertex idx should go when asked to move to target: target itself if allowed,
+    // else the allowed point closest to it. With a region that is found from the nearest
+    // region cell, so a drag slides along the region's edge; without one, along the
+    // straight way from where the vertex is now. Pass the baseline taken when the move
+    // started, so spacing already short then is held to what it was, not to wherever the
+    // vertex has got to since.
+    constrainMove(idx, target, region = null, baseline = this.getSpacingBaseline(idx)) {
+        const allowed = p => (!region || region.contains(p)) && this.checkVertexPosition(idx, p, baseline).valid;
+        if (allowed(target)) return { x: target.x, y: target.y };
+        const vertex = this.vertices[idx];
+        let from = region ? region.nearest(target) : { x: vertex.x, y: vertex.y };
+        if (!from || !allowed(from)) return { x: vertex.x, y: vertex.y };
+        // Bisect towards the target for the last allowed point
+        let to = target;
+        for (let iteration = 0; iteration < 16; iteration++) {
+            const mid = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+            if (allowed(mid)) from = mid;
+            else to = mid;
+        }
+        return from;
+    }
+
+    // Move several vertices at once, e.g. a selection translated, rotated or scaled as a
+    // group: points[k] is the new position of vertex indices[k]. The move is kept only if
+    // validateGraphIntegrity passes on every edge at a moved vertex; otherwise every vertex
+    // goes back. A jump can land in another planar drawing of the graph, so the embedding
+    // is read again if the order around any vertex no longer matches it.
+    transformVertices(indices, points) {
+        const index = this.getSpatialIndex();
+        const place = positions => indices.forEach((idx, k) => {
+            const vertex = this.vertices[idx];
+            const oldPosition = { x: vertex.x, y: vertex.y };
+            vertex.x = positions[k].x;
+            vertex.y = positions[k].y;
+            index.moveVertex(idx, oldPosition, this.vertices, this.edges);
+        });
+        const before = indices.map(idx => ({ x: this.vertices[idx].x, y: this.vertices[idx].y }));
+        place(points);
+
+        const edges = new Set();
+        for (const idx of indices) {
+            for (const k of index.incident[idx]) edges.add(k);
+        }
+        const integrity = this.validateGraphIntegrity([...edges]);
+        if (!integrity.valid) {
+            place(before);
+            return { success: false, message: integrity.message };
+        }
+
+        if (this.embedding) {
+            const touched = new Set(indices);
+            for (const idx of indices) this.embedding.rotation[idx].forEach(u => touched.add(u));
+            if (!this.embedding.matchesDrawing([...touched], this.vertices)) this.embedding = null;
+        }
+        this.updatePeriphery();
+        return { success: true, message: `Moved ${indices.length} vertices` };
+    }
+
+    // STRESS TESTING SYSTEM - Validate graph integrity
+    // With edgeIndices, only those edges are checked (against every edge near them)
+    validateGraphIntegrity(edgeIndices = null) {
+        // Check edge pairs for crossings, T-junctions and overlaps, via the spatial index
+        const all = edgeIndices === null;
+        for (const i of all ? this.edges.keys() : edgeIndices) {
+            for (const j of this.getEdgesNearEdge(i)) {
+                if (all ? j <= i : j === i) continue;
+                const contact = this.classifyEdgeIndices(i, j);
+                if (contact) {
+                    const [v1, v2] = this.edges[i].map(idx => this.vertices[idx]);
+                    const [v3, v4] = this.edges[j].map(idx => this.vertices[idx]);
+                    console.error('GRAPH INTEGRITY VIOLATION: Crossing detected!');
+                    return {
+                        valid: false,
+                        message: contact === 'cross' ?
+                            `Graph integrity error - crossing between V${v1.id}-V${v2.id} and V${v3.id}-V${v4.id}!` :
+                            `Graph integrity error - V${v1.id}-V${v2.id} and V${v3.id}-V${v4.id} ${this.describeContact(contact)}!`
+                    };
+                }
+            }
+        }
+        return { valid: true };
+    }
+
+    // classifyEdgePair for two entries of this.edges; hidden vertices are ignored
+    classifyEdgeIndices(i, j) {
+        const [a, b] = this.edges[i];
+        const [c, d] = this.edges[j];
+        const v1 = this.vertices[a], v2 = this.vertices[b];
+        const v3 = this.vertices[c], v4 = this.vertices[d];
+        if (!v1.visible || !v2.visible || !v3.visible || !v4.visible) return null;
+        return this.classifySegments(v1, v2, v3, v4);
+    }
+
+    // Every invalid edge pair (as indices into this.edges), for reports that need more than the first
+    findCrossings() {
+        return this.getCrossingReport().map(crossing => crossing.edges);
+    }
+
+    // All crossings, T-junctions and overlaps in one sweep, with where they happen:
+    // [{ edges: [i, j], kind, point }] ordered by edge index
+    getCrossingReport() {
+        const segments = [];
+        this.edges.forEach(([i, j], k) => {
+            const a = this.vertices[i], b = this.vertices[j];
+            if (a.visible && b.visible) segments.push({ a, b, key: k });
+        });
+        return CrossingSweep.findAll(segments, (s, t) => this.classifySegments(s.a, s.b, t.a, t.b))
+            .map(({ first, second, kind, point }) => ({ edges: [first, second], kind, point }))
+            .sort((c, d) => c.edges[0] - d.edges[0] || c.edges[1] - d.edges[1]);
+    }
+
+    // SPATIAL INDEX ACCESS
+    getSpatialIndex() {
+        if (!this.spatialIndex) {
+            this.spatialIndex = SpatialGrid.build(this.vertices, this.edges);
+        }
+        return this.spatialIndex;
+    }
+
+    // Edge indices that may meet edge k (k itself included)
+    getEdgesNearEdge(k) {
+        const [i, j] = this.edges[k];
+        return this.getSpatialIndex().queryEdgesNear(this.vertices[i], this.vertices[j]);
+    }
+
+    // Every position change outside attachVertex goes through here to keep the index current
+    moveVertex(idx, x, y) {
+        const vertex = this.vertices[idx];
+        const oldPosition = { x: vertex.x, y: vertex.y };
+        vertex.x = x;
+        vertex.y = y;
+        if (this.spatialIndex) {
+            this.spatialIndex.moveVertex(idx, oldPosition, this.vertices, this.edges);
+        }
+        if (this.embedding && this.realignEmbedding(idx)) {
+            this.periphery = this.embedding.outerFace();
+        }
+    }
+
+    // EMBEDDING ACCESS - faces and cyclic orders come from the rotation system, not coordinates
+    getEmbedding() {
+        if (!this.embedding) {
+            this.embedding = PlanarEmbedding.build(this.vertices, this.edges, this.periphery);
+        }
+        return this.embedding;
+    }
+
+    // Follow the drawing after a move, unless an edge at the moved vertex now meets
+    // another one; then the last crossing-free embedding stays. Returns whether it changed.
+    realignEmbedding(idx) {
+        const index = this.getSpatialIndex();
+        for (const k of index.incident[idx]) {
+            for (const j of this.getEdgesNearEdge(k)) {
+                if (j !== k && this.classifyEdgeIndices(k, j)) return false;
+            }
+        }
+        return this.embedding.realign(idx, this.vertices, this.edges.length);
+    }
+
+    // Neighbour ids in clockwise order around the vertex
+    getCyclicNeighborIds(id) {
+        const embedding = this.getEmbedding();
+        const idx = this.getVertexIndex(id);
+        if (!embedding || idx === -1) return [];
+        return embedding.neighbors(idx).map(v => this.vertices[v].id);
+    }
+
+    // Every face as a cycle of vertex ids, the outer face included
+    getFaces() {
+        const embedding = this.getEmbedding();
+        if (!embedding) return [];
+        return embedding.faces().map(face => face.map(v => this.vertices[v].id));
+    }
+
+    // Outer face as a cycle of vertex ids, running in periphery order
+    getOuterFace() {
+        const embedding = this.getEmbedding();
+        if (!embedding) return [];
+        return embedding.outerFace().map(v => this.vertices[v].id);
+    }
+
+    // LAYOUTS - new positions for the same embedding, returned rather than applied
+
+    // Tutte drawing: the periphery pinned on a regular polygon around the current centre and
+    // every other vertex at the average of its neighbours. Crossing-free when the inner faces
+    // are triangles; imported graphs need not have them, so check with validateLayout.
+    getTutteLayout() {
+        const embedding = this.getEmbedding();
+        if (!embedding) return null;
+        const n = this.vertices.length;
+        // tutte() lays its cycle out the opposite way round to the periphery
+        const outer = [...this.periphery].reverse();
+        const points = PlanarLayout.tutte(n, this.edges, outer, embedding.faces(), Math.max(200, 120 * Math.sqrt(n)));
+        const center = this.calculateGraphCenter();
+        return points.map(p => ({ x: p.x + center.x, y: p.y + center.y }));
+    }
+
+    // Schnyder wood of the graph completed to a triangulation: every face longer than a
+    // triangle gets a centre vertex (indices from n on) joined to its corners, and a centre
+    // in the outer face becomes a_0 above the periphery's first edge. Returns
+    // { parent, order, outer, total } for the completed graph, or null without an embedding.
+    computeSchnyderWood() {
+        const embedding = this.getEmbedding();
+        if (!embedding) return null;
+        const outerFace = embedding.outerFace();
+        const outerKey = [...outerFace].sort((a, b) => a - b).join(',');
+        const open = embedding.faces().filter(face => face.length > 3);
+        const { rotation, centres } = SchnyderWood.stellate(embedding.rotation, open);
+        const outerAt = open.findIndex(face => [...face].sort((a, b) => a - b).join(',') === outerKey);
+        const outer = outerAt === -1 ? outerFace : [centres[outerAt], outerFace[0], outerFace[1]];
+        const wood = SchnyderWood.compute(rotation, outer);
+        return wood && { ...wood, outer, total: rotation.length };
+    }
+
+    // Tree (0, 1 or 2) of every edge by edge index, -1 for the outer triangle, plus the
+    // roots' ids (null for an added centre)
+    getSchnyderTrees() {
+        const wood = this.computeSchnyderWood();
+        if (!wood) return null;
+        const { parent } = wood;
+        const trees = this.edges.map(([u, v]) =>
+            [0, 1, 2].find(i => parent[i][u] === v || parent[i][v] === u) ?? -1);
+        const roots = wood.outer.map(v => (v < this.vertices.length ? this.vertices[v].id : null));
+        return { trees, roots };
+    }
+
+    // Schnyder drawing: integer points on the (n-2) x (n-2) grid for a triangulation, one
+    // row and column more per added face centre, spaced unit apart around the current centre
+    getSchnyderLayout(unit = 50) {
+        const wood = this.computeSchnyderWood();
+        if (!wood) return null;
+        const coords = SchnyderWood.coordinates(wood, wood.outer);
+        const n = this.vertices.length;
+        let points = coords.slice(0, n).map(([x, y]) => ({ x: x * unit, y: y * unit }));
+
+        // Keep the periphery running the same way round as before
+        if (Math.sign(PlanarLayout.signedArea(points, this.periphery)) !==
+            Math.sign(PlanarLayout.signedArea(this.vertices, this.periphery))) {
+            points = points.map(p => ({ x: p.x, y: -p.y }));
+        }
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const center = this.calculateGraphCenter();
+        const dx = center.x - (Math.min(...xs) + Math.max(...xs)) / 2;
+        const dy = center.y - (Math.min(...ys) + Math.max(...ys)) / 2;
+        return points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+    }
+
+    // Would the drawing be crossing-free at these positions? Layouts computed in floating
+    // point can collapse deeply nested vertices onto each other, so check before applying.
+    validateLayout(points) {
+        const segments = this.edges.map(([i, j], k) => ({ a: points[i], b: points[j], key: k }));
+        const found = CrossingSweep.findAll(segments, (s, t) => this.classifySegments(s.a, s.b, t.a, t.b));
+        if (found.length === 0) return { valid: true };
+        const [first] = found;
+        return {
+            valid: false,
+            message: `${found.length} edge contact${found.length === 1 ? '' : 's'}, first ${this.describeCrossing([first.first, first.second])} would ${this.describeContact(first.kind)}`
+        };
+    }
+
+    // Move every vertex at once, e.g. to a layout of the same embedding. The embedding is
+    // kept as it is and the spatial index is rebuilt on next use.
+    setPositions(points) {
+        points.forEach((p, idx) => {
+            this.vertices[idx].x = p.x;
+            this.vertices[idx].y = p.y;
+        });
+        this.spatialIndex = null;
+    }
+
+    // One force-directed step that keeps the drawing planar, keeps the placement spacing
+    // where it holds and never lets a pair already inside it get closer (see
+    // ForceRelaxation). Only the next count vertices in index order move, so a large
+    // graph can be relaxed a slice at a time; the others hold still for the step. A
+    // planar motion cannot change the embedding, so only the spatial index follows.
+    // Returns how many vertices moved, the longest move, and settled once a sweep over
+    // every vertex has ended without any move longer than RELAX_MIN_MOVE.
+    relaxLayout(count = this.vertices.length) {
+        const n = this.vertices.length;
+        const index = this.getSpatialIndex();
+        const state = this.relaxState;
+        // Vertices added since the last step start at full heat
+        state.heat.length = state.last.length = Math.min(state.heat.length, n);
+        while (state.heat.length < n) {
+            state.heat.push(RELAX_MAX_STEP);
+            state.last.push(null);
+        }
+        const movers = [];
+        for (let k = 0; k < Math.min(count, n); k++) movers.push((state.cursor + k) % n);
+        state.cursor = n > 0 ? (state.cursor + movers.length) % n : 0;
+
+        const next = ForceRelaxation.step(this.vertices, this.edges, index, state, movers);
+        let moved = 0;
+        let farthest = 0;
+        movers.forEach((idx, k) => {
+            const vertex = this.vertices[idx];
+            const p = next[k];
+            if (p.x === vertex.x && p.y === vertex.y) return;
+            const oldPosition = { x: vertex.x, y: vertex.y };
+            vertex.x = p.x;
+            vertex.y = p.y;
+            index.moveVertex(idx, oldPosition, this.vertices, this.edges);
+            moved++;
+            farthest = Math.max(farthest, this.distance(oldPosition, p));
+        });
+
+        state.swept += movers.length;
+        state.farthest = Math.max(state.farthest, farthest);
+        let settled = false;
+        if (state.swept >= n) {
+            // A vertex that has cooled right down still jitters by RELAX_MIN_MOVE
+            settled = state.farthest <= RELAX_MIN_MOVE * (1 + 1e-9);
+            state.swept = 0;
+            state.farthest = 0;
+        }
+        return { moved, farthest, settled };
+    }
+
+    // Convex hull grown by margin, with its bounding box for a quick outside test
+    getPlacementArea(margin) {
+        const hull = this.getConvexHull();
+        if (hull.length < 3) return null;
+        const polygon = this.expandPolygon(hull, margin);
+        const xs = polygon.map(p => p.x);
+        const ys = polygon.map(p => p.y);
+        return {
+            polygon,
+            minX: Math.min(...xs), maxX: Math.max(...xs),
+            minY: Math.min(...ys), maxY: Math.max(...ys)
+        };
+    }
+
+    isOutsidePlacementArea(point, area) {
+        if (!area) return true;
+        if (point.x < area.minX || point.x > area.maxX || point.y < area.minY || point.y > area.maxY) return true;
+        return !this.pointInPolygon(point, area.polygon);
+    }
+
+    describeCrossing([i, j]) {
+        const [a, b] = this.edges[i];
+        const [c, d] = this.edges[j];
+        const id = idx => this.vertices[idx].id;
+        return `V${id(a)}-V${id(b)} × V${id(c)}-V${id(d)}`;
+    }
+
+    // Get all vertices in the segment between two periphery indices (inclusive)
+    // getPeripherySegment(startIdx, endIdx) {
+    //     const segment = [];
+    //     const n = this.periphery.length;
+
+    //     if (startIdx === endIdx) {
+    //         return [this.periphery[startIdx]];
+    //     }
+
+    //     // Always traverse clockwise from startIdx to endIdx, wrapping around if needed
+    //     let current = startIdx;
+    //     while (true) {
+    //         segment.push(this.periphery[current]);
+    //         if (current === endIdx) break;
+    //         current = (current + 1) % n;
+    //     }
+
+    //     return segment;
+    // }
+
+    getPeripherySegment(startIdx, endIdx) {
+    const n = this.periphery.length;
+
+    if (startIdx === endIdx) {
+        return [this.periphery[startIdx]];
+    }
+
+    // Path 1: clockwise from startIdx to endIdx
+    let clockwise = [];
+    let current = startIdx;
+    while (true) {
+        clockwise.push(this.periphery[current]);
+        if (current === endIdx) break;
+        current = (current + 1) % n;
+    }
+
+    // Path 2: clockwise from endIdx to startIdx (reverse direction)
+    let counterClockwise = [];
+    current = endIdx;
+    while (true) {
+        counterClockwise.push(this.periphery[current]);
+        if (current === startIdx) break;
+        current = (current + 1) % n;
+    }
+
+    // Choose the shorter path
+    if (clockwise.length <= counterClockwise.length) {
+        return clockwise;
+    } else {
+        return counterClockwise.reverse(); // reverse to go start -> end
+    }
+}
+
+    // The vertices in periphery order if they are a stretch of the periphery without gaps
+    // (given either way round), else null
+    getPeripheryRun(vertices) {
+        const n = this.periphery.length;
+        const runs = path => {
+            const start = this.periphery.indexOf(path[0]);
+            return start !== -1 && path.length <= n && path.every((u, k) => this.periphery[(start + k) % n] === u);
+        };
+        if (runs(vertices)) return [...vertices];
+        const reversed = [...vertices].reverse();
+        return runs(reversed) ? reversed : null;
+    }
+
+    
+    // // Process segment selection and add vertex connecting to ALL segment vertices
+    // processSegmentSelection() {
+    //     // Ensure exactly 2 periphery vertices are selected
+    //     if (this.selectedVertices.length !== 2) {
+    //         return { success: false, message: "Select exactly 2 periphery vertices." };
+    //     }
+
+    //     const [v1Idx, v2Idx] = this.selectedVertices;
+    //     const p1Idx = this.periphery.indexOf(v1Idx);
+    //     const p2Idx = this.periphery.indexOf(v2Idx);
+
+    //     if (p1Idx === -1 || p2Idx === -1) {
+    //         return { success: false, message: "Selected vertices must be in periphery." };
+    //     }
+
+    //     // In manual mode, only connect to the two selected periphery vertices
+    //     let segmentVertices;
+    //     if (this.manualMode) {
+    //         segmentVertices = [v1Idx, v2Idx];
+    //     } else {
+    //         // Get all periphery vertices between p1Idx and p2Idx (inclusive, clockwise)
+    //         segmentVertices = this.getPeripherySegment(p1Idx, p2Idx);
+    //     }
+
+    //     if (segmentVertices.length < 2) {
+    //         return { success: false, message: "Segment must contain at least 2 vertices." };
+    //     }
+
+    //     // Find a position outside the periphery that connects to all segment vertices
+    //     const newPosition = this.findNonIntersectingPosition(segmentVertices);
+    //     if (!newPosition) {
+    //         this.selectedVertices = [];
+    //         this.segmentVertices = [];
+    //         return { success: false, message: "No valid outside position found for new vertex." };
+    //     }
+
+    //     // Validate edges from new vertex to all segment vertices
+    //     const edgeValidation = this.validateNewEdges(newPosition, segmentVertices);
+    //     if (!edgeValidation.valid) {
+    //         return { success: false, message: edgeValidation.message };
+    //     }
+
+    //     // Add new vertex
+    //     const newVertexIdx = this.vertices.length;
+    //     this.vertices.push({
+    //         x: newPosition.x,
+    //         y: newPosition.y,
+    //         visible: true,
+    //         id: ++this.maxVertexId
+    //     });
+
+    //     // Connect new vertex to all segment vertices
+    //     for (const vIdx of segmentVertices) {
+    //         this.edges.push([newVertexIdx, vIdx]);
+    //     }
+
+    //     // Replace segment in periphery with new vertex
+    //     this.updatePeripheryAfterSegmentReplacement(p1Idx, p2Idx, newVertexIdx);
+
+    //     // Validate graph integrity
+    //     const integrityCheck = this.validateGraphIntegrity();
+    //     if (!integrityCheck.valid) {
+    //         // Rollback if planarity violated
+    //         this.vertices.pop();
+    //         this.edges.splice(-segmentVertices.length);
+    //         this.updatePeriphery();
+    //         return { success: false, message: integrityCheck.message };
+    //     }
+
+    //     // Clear selection
+    //     this.selectedVertices = [];
+    //     this.segmentVertices = [];
+
+    //     return {
+    //         success: true,
+    //         message: `Added vertex V${this.maxVertexId} outside periphery, connected to ${segmentVertices.length} segment vertices${this.manualMode ? '' : ' (clockwise)'}.`
+    //     };
+    // }
+    
+//     FINE WORKING CODE
+//     processSegmentSelection() {
+//     // Ensure exactly 2 periphery vertices are selected
+//     if (this.selectedVertices.length !== 2) {
+//         return { success: false, message: "Select exactly 2 periphery vertices." };
+//     }
+
+//     const [v1Idx, v2Idx] = this.selectedVertices;
+//     const p1Idx = this.periphery.indexOf(v1Idx);
+//     const p2Idx = this.periphery.indexOf(v2Idx);
+
+//     if (p1Idx === -1 || p2Idx === -1) {
+//         return { success: false, message: "Selected vertices must be in periphery." };
+//     }
+
+//     // Always get all periphery vertices between p1Idx and p2Idx (inclusive, clockwise)
+//     const segmentVertices = this.getPeripherySegment(p1Idx, p2Idx);
+
+//     if (segmentVertices.length < 2) {
+//         return { success: false, message: "Segment must contain at least 2 vertices." };
+//     }
+
+//     // Find a position outside the periphery that connects to all segment vertices
+//     const newPosition = this.findNonIntersectingPosition(segmentVertices);
+//     if (!newPosition) {
+//         this.selectedVertices = [];
+//         this.segmentVertices = [];
+//         return { success: false, message: "No valid outside position found for new vertex." };
+//     }
+
+//     // Validate edges from new vertex to all segment vertices
+//     const edgeValidation = this.validateNewEdges(newPosition, segmentVertices);
+//     if (!edgeValidation.valid) {
+//         return { success: false, message: edgeValidation.message };
+//     }
+
+//     // Add new vertex
+//     const newVertexIdx = this.vertices.length;
+//     this.vertices.push({
+//         x: newPosition.x,
+//         y: newPosition.y,
+//         visible: true,
+//         id: ++this.maxVertexId
+//     });
+
+//     // Connect new vertex to all segment vertices
+//     for (const vIdx of segmentVertices) {
+//         this.edges.push([newVertexIdx, vIdx]);
+//     }
+
+//     // Replace segment in periphery with new vertex
+//     this.updatePeripheryAfterSegmentReplacement(p1Idx, p2Idx, newVertexIdx);
+
+//     // Force clockwise order
+//     this.ensureClockwiseOrder();
+
+//     // Validate graph integrity
+//     const integrityCheck = this.validateGraphIntegrity();
+//     if (!integrityCheck.valid) {
+//         // Rollback if planarity violated
+//         this.vertices.pop();
+//         this.edges.splice(-segmentVertices.length);
+//         this.updatePeriphery();
+//         return { success: false, message: integrityCheck.message };
+//     }
+
+//     // Clear selection
+//     this.selectedVertices = [];
+//     this.segmentVertices = [];
+
+//     return {
+//         success: true,
+//         message: `Added vertex V${this.maxVertexId} outside periphery, connected to ${segmentVertices.length} segment vertices (clockwise).`
+//     };
+// }
+processSegmentSelection() {
+    // Ensure exactly 2 periphery vertices are selected
+    if (this.selectedVertices.length !== 2) {
+        return { success: false, message: "Select exactly 2 periphery vertices." };
+    }
+
+    const [v1Idx, v2Idx] = this.selectedVertices;
+    const p1Idx = this.periphery.indexOf(v1Idx);
+    const p2Idx = this.periphery.indexOf(v2Idx);
+
+    if (p1Idx === -1 || p2Idx === -1) {
+        return { success: false, message: "Selected vertices must be in periphery." };
+    }
+
+    // Get only the vertices between the two extremes, clockwise
+    const segmentVertices = this.getPeripherySegment(p1Idx, p2Idx);
+
+    if (segmentVertices.length < 2) {
+        return { success: false, message: "Segment must contain at least 2 vertices." };
+    }
+
+    const result = this.attachVertex(segmentVertices);
+    if (result.success || result.noPosition) {
+        // Clear selection
+        this.selectedVertices = [];
+        this.segmentVertices = [];
+    }
+    return result;
+}
+
+// Add one vertex outside the periphery joined to every vertex of the segment path; only
+// the path vertices strictly inside the segment leave the periphery. Shared by selection
+// and script replay.
+attachVertex(segmentVertices) {
+    // The path has to be a stretch of the periphery, and the periphery the outer face
+    const path = this.getPeripheryRun(segmentVertices);
+    if (!path) {
+        return { success: false, message: "Segment vertices must be consecutive periphery vertices." };
+    }
+    const embedding = this.getEmbedding();
+    if (embedding && !PlanarEmbedding.sameCycle(embedding.outerFace(), this.periphery)) {
+        return { success: false, message: "The periphery is out of step with the embedding's outer face." };
+    }
+
+    // Find position outside the periphery that connects to all segment vertices
+    const newPosition = this.findAttachPosition(segmentVertices);
+    if (!newPosition) {
+        return { success: false, noPosition: true, message: "No valid outside position found for new vertex." };
+    }
+
+    // Validate edges from new vertex to ONLY the segment vertices
+    const edgeValidation = this.validateNewEdges(newPosition, segmentVertices);
+    if (!edgeValidation.valid) {
+        return { success: false, message: edgeValidation.message };
+    }
+
+    // Add new vertex
+    const newVertexIdx = this.vertices.length;
+    this.vertices.push({
+        x: newPosition.x,
+        y: newPosition.y,
+        visible: true,
+        id: ++this.maxVertexId
+    });
+
+    // Connect new vertex to ONLY the vertices in the selected segment
+    const firstEdge = this.edges.length;
+    for (const vIdx of segmentVertices) {
+        this.edges.push([newVertexIdx, vIdx]);
+    }
+    const newEdges = segmentVertices.map((_, k) => firstEdge + k);
+    if (this.spatialIndex) {
+        this.spatialIndex.insertVertex(newVertexIdx, this.vertices[newVertexIdx]);
+        for (const k of newEdges) {
+            const [i, j] = this.edges[k];
+            this.spatialIndex.insertEdge(k, i, j, this.vertices[i], this.vertices[j]);
+        }
+    }
+
+    const rollback = message => {
+        if (this.spatialIndex) {
+            for (const k of newEdges) {
+                const [i, j] = this.edges[k];
+                this.spatialIndex.removeEdge(k, i, j, this.vertices[i], this.vertices[j]);
+            }
+            this.spatialIndex.removeVertex(newVertexIdx);
+        }
+        this.vertices.pop();
+        this.edges.splice(-segmentVertices.length);
+        this.maxVertexId--;
+        return { success: false, message };
+    };
+
+    // Validate graph integrity around the new edges
+    const integrityCheck = this.validateGraphIntegrity(newEdges);
+    if (!integrityCheck.valid) {
+        return rollback(integrityCheck.message);
+    }
+
+    // The path vertices strictly inside the segment leave the periphery, and the new
+    // vertex takes their place
+    const inside = new Set(path.slice(1, -1));
+    const periphery = [];
+    for (const u of this.periphery) {
+        if (inside.has(u)) continue;
+        periphery.push(u);
+        if (u === path[0]) periphery.push(newVertexIdx);
+    }
+    if (embedding) {
+        embedding.attachOutside(newVertexIdx, path);
+        if (!PlanarEmbedding.sameCycle(embedding.outerFace(), periphery)) {
+            embedding.detachOutside(newVertexIdx);
+            return rollback("The embedding's outer face does not match the new periphery.");
+        }
+    }
+    this.periphery = periphery;
+    // The drawing keeps growing outward; rebuild with larger cells on next use
+    if (this.spatialIndex && this.spatialIndex.isStale()) {
+        this.spatialIndex = null;
+    }
+
+    // Record the step as the new id followed by the segment path ids
+    this.constructionSteps.push([this.maxVertexId, ...segmentVertices.map(idx => this.vertices[idx].id)]);
+    this.extendColoring(newVertexIdx);
+
+    return {
+        success: true,
+        message: `Added vertex V${this.maxVertexId} outside periphery, connected to ${segmentVertices.length} segment vertices (clockwise).`
+    };
+}
+
+    // VERTEX REMOVAL - the inverse of attachVertex: a periphery vertex can go when the
+    // faces around it join the outer face without the periphery touching itself
+
+    // Can vertex idx be removed leaving a disk? { valid, message, path } with the path
+    // (indices, in outer face order) that becomes periphery again: for a vertex added to a
+    // segment, that segment.
+    checkVertexRemoval(idx) {
+        const id = i => this.vertices[i].id;
+        if (this.vertices.length <= 3) {
+            return { valid: false, message: "The starting triangle cannot be taken apart." };
+        }
+        const embedding = this.getEmbedding();
+        if (!embedding) {
+            return { valid: false, message: "The graph has no planar embedding." };
+        }
+        const outer = embedding.outerFace();
+        const k = outer.indexOf(idx);
+        if (k === -1) {
+            return { valid: false, message: `V${id(idx)} is not on the periphery.` };
+        }
+
+        // The outer face turns from the vertex before idx straight to the one after, so
+        // around idx the other neighbours run from the one before to the one after. Each
+        // face between two of them gives its far side to the path.
+        const before = outer[(k - 1 + outer.length) % outer.length];
+        const around = embedding.neighbors(idx);
+        const neighbors = [...around.slice(around.indexOf(before)), ...around.slice(0, around.indexOf(before))];
+        const path = [before];
+        for (let i = 0; i + 1 < neighbors.length; i++) {
+            // [next neighbour, idx, this neighbour, ...far side]
+            path.push(...embedding.traceFace(neighbors[i + 1], idx).slice(3), neighbors[i + 1]);
+        }
+
+        const onOuter = new Set(outer);
+        const seen = new Set();
+        for (const u of path.slice(1, -1)) {
+            if (onOuter.has(u) || seen.has(u)) {
+                return { valid: false, message: `Removing V${id(idx)} would pinch the periphery at V${id(u)}.` };
+            }
+            seen.add(u);
+        }
+        return { valid: true, path };
+    }
+
+    // Remove vertex idx and its edges (see checkVertexRemoval). Later vertices shift down
+    // one index but keep their ids; maxVertexId only falls when the highest id goes, so
+    // ids are never reused. The construction record survives only if idx was its last step.
+    removeVertex(idx) {
+        const check = this.checkVertexRemoval(idx);
+        if (!check.valid) {
+            return { success: false, message: check.message };
+        }
+        const id = this.vertices[idx].id;
+        const pathIds = check.path.map(u => this.vertices[u].id);
+        const shift = u => (u > idx ? u - 1 : u);
+
+        this.embedding.detachOutside(idx);
+        this.vertices.splice(idx, 1);
+        this.edges = this.edges.filter(edge => !edge.includes(idx)).map(edge => edge.map(shift));
+        this.periphery = this.embedding.outerFace();
+        this.spatialIndex = null;
+        this.selectedVertices = [];
+        this.segmentVertices = [];
+        this.hoveredVertex = -1;
+        // Removing a vertex never breaks a proper coloring
+        for (const coloring of [this.coloring, this.greedyColoring]) {
+            if (coloring && coloring.length === this.vertices.length + 1) coloring.splice(idx, 1);
+        }
+        this.lastColoringRepair = null;
+        this.relaxState.heat.splice(idx, 1);
+        this.relaxState.last.splice(idx, 1);
+
+        let note = '';
+        const steps = this.constructionSteps;
+        if (steps.length > 0 && steps[steps.length - 1][0] === id) {
+            steps.pop();
+        } else {
+            // Replay needs consecutive ids, so a gap cannot be scripted
+            note = this.forgetConstruction();
+        }
+        if (id === this.maxVertexId) {
+            this.maxVertexId = Math.max(...this.vertices.map(v => v.id));
+        }
+
+        return {
+            success: true,
+            message: `Removed V${id}; the periphery runs V${pathIds.join('-V')} again.${note}`
+        };
+    }
+
+    // Remove the last count vertices in construction order (highest ids first), stopping
+    // at the first that cannot go. A stop after some were removed keeps those and is
+    // flagged partial.
+    peelVertices(count) {
+        let peeled = 0;
+        while (peeled < count) {
+            const last = this.vertices.reduce((best, v, idx) => (v.id > this.vertices[best].id ? idx : best), 0);
+            const result = this.removeVertex(last);
+            if (!result.success) {
+                return {
+                    success: peeled > 0,
+                    partial: peeled > 0,
+                    message: `Peeled ${peeled} of ${count} vertices; V${this.vertices[last].id} cannot be removed: ${result.message}`
+                };
+            }
+            peeled++;
+        }
+        return { success: true, message: `Peeled ${peeled} vertices; the highest is now V${this.maxVertexId}.` };
+    }
+
+    // A change no construction step can express; returns a note for the result message
+    forgetConstruction() {
+        if (this.constructionSteps.length === 0 && !this.constructionFromTriangle) return '';
+        this.constructionSteps = [];
+        this.constructionFromTriangle = false;
+        return ' The construction script no longer replays this graph.';
+    }
+
+    // EDGE FLIPS - swap an interior edge for the other diagonal of the two triangles
+    // beside it, as in triangulation flip graphs
+
+    // Can edge k be flipped? { valid, message, diagonal } where diagonal is the vertex
+    // pair the edge would become, once the two faces beside it are known
+    checkEdgeFlip(k) {
+        const id = i => this.vertices[i].id;
+        const [a, b] = this.edges[k];
+        const name = `V${id(a)}-V${id(b)}`;
+        const embedding = this.getEmbedding();
+        if (!embedding) {
+            return { valid: false, message: "The graph has no planar embedding." };
+        }
+        const outer = embedding.outerFace();
+        const sides = [embedding.traceFace(a, b), embedding.traceFace(b, a)];
+        if (sides.some(face => PlanarEmbedding.sameCycle(face, outer))) {
+            return { valid: false, message: `${name} is on the periphery, not an interior edge.` };
+        }
+        const open = sides.find(face => face.length !== 3);
+        if (open) {
+            return { valid: false, message: `${name} borders a ${open.length}-sided face, not two triangles.` };
+        }
+
+        const [c, d] = [sides[0][2], sides[1][2]];
+        const diagonal = [c, d];
+        const quad = `V${id(a)}-V${id(c)}-V${id(b)}-V${id(d)}`;
+        if (embedding.rotation[c].includes(d)) {
+            return { valid: false, diagonal, message: `Flipping ${name} would give V${id(c)}-V${id(d)}, which already exists.` };
+        }
+        const [pa, pb, pc, pd] = [a, b, c, d].map(i => this.vertices[i]);
+        if (RobustPredicates.segmentRelation(pa, pb, pc, pd) !== 'cross') {
+            // One of a, b lies in the triangle of the other three
+            const inside = (p, q, r, t) => {
+                const o = [RobustPredicates.orient2d(q, r, p), RobustPredicates.orient2d(r, t, p), RobustPredicates.orient2d(t, q, p)];
+                return !o.includes(1) || !o.includes(-1);
+            };
+            const reflex = inside(pa, pb, pc, pd) ? a : b;
+            return { valid: false, diagonal, message: `Quadrilateral ${quad} is not convex at V${id(reflex)}, so V${id(c)}-V${id(d)} would leave it.` };
+        }
+        return { valid: true, diagonal };
+    }
+
+    // Replace edge k by the other diagonal (see checkEdgeFlip), if the drawing stays planar.
+    // The edge keeps its index; the periphery cannot change.
+    flipEdge(k) {
+        const check = this.checkEdgeFlip(k);
+        if (!check.valid) {
+            return { success: false, message: check.message };
+        }
+        const id = i => this.vertices[i].id;
+        const [a, b] = this.edges[k];
+        const [c, d] = check.diagonal;
+        const index = this.getSpatialIndex();
+        const place = ([i, j], [u, v]) => {
+            index.removeEdge(k, i, j, this.vertices[i], this.vertices[j]);
+            this.edges[k] = [u, v];
+            index.insertEdge(k, u, v, this.vertices[u], this.vertices[v]);
+        };
+        place([a, b], [c, d]);
+        const integrity = this.validateGraphIntegrity([k]);
+        if (!integrity.valid) {
+            place([c, d], [a, b]);
+            return { success: false, message: integrity.message };
+        }
+
+        this.embedding.flip(a, b, c, d);
+        // The new edge may join two vertices of the same color
+        if (this.coloring && this.coloring[c] === this.coloring[d]) this.coloring = null;
+        if (this.greedyColoring && this.greedyColoring[c] === this.greedyColoring[d]) this.greedyColoring = null;
+        this.lastColoringRepair = null;
+        const note = this.forgetConstruction();
+        return { success: true, message: `Flipped V${id(a)}-V${id(b)} to V${id(c)}-V${id(d)}.${note}` };
+    }
+
+updatePeripheryAfterSegmentReplacement(startIdx, endIdx, newVertexIdx) {
+    const n = this.periphery.length;
+    let newPeriphery = [];
+
+    // Insert the new vertex after endIdx but keep all original vertices
+    if (startIdx <= endIdx) {
+        newPeriphery = [
+            ...this.periphery.slice(0, endIdx + 1),
+            newVertexIdx,
+            ...this.periphery.slice(endIdx + 1)
+        ];
+    } else {
+        // Wrap-around case
+        newPeriphery = [
+            ...this.periphery.slice(0, endIdx + 1),
+            newVertexIdx,
+            ...this.periphery.slice(endIdx + 1, startIdx + 1),
+            ...this.periphery.slice(startIdx + 1)
+        ];
+    }
+
+    // Ensure clockwise order
+    this.periphery = newPeriphery;
+    this.ensureClockwiseOrder();
+}
+
+    
+    isOutsideGraph(x, y, margin = 0) {
+        const hull = this.getConvexHull();
+        if (hull.length < 3) return true;
+        
+        // Expand hull by margin if specified
+        if (margin > 0) {
+            const expandedHull = this.expandPolygon(hull, margin);
+            return !this.pointInPolygon({ x, y }, expandedHull);
+        }
+        
+        return !this.pointInPolygon({ x, y }, hull);
+    }
+    
+    expandPolygon(polygon, margin) {
+        // Simple polygon expansion by moving each vertex outward
+        const center = this.calculatePolygonCenter(polygon);
+        return polygon.map(vertex => {
+            const dx = vertex.x - center.x;
+            const dy = vertex.y - center.y;
+            const len = Math.sqrt(dx * dx + dy * dy);
+            if (len === 0) return vertex;
+            
+            const normalizedDx = dx / len;
+            const normalizedDy = dy / len;
+            
+            return {
+                x: vertex.x + normalizedDx * margin,
+                y: vertex.y + normalizedDy * margin
+            };
+        });
+    }
+    
+    calculatePolygonCenter(polygon) {
+        let cx = 0, cy = 0;
+        for (const vertex of polygon) {
+            cx += vertex.x;
+            cy += vertex.y;
+        }
+        return { x: cx / polygon.length, y: cy / polygon.length };
+    }
+    
+    getConvexHull() {
+        const visibleVertices = this.vertices.filter(v => v.visible);
+        if (visibleVertices.length < 3) return visibleVertices;
+        
+        // Find bottom-most point (and leftmost if tie)
+        let start = 0;
+        for (let i = 1; i < visibleVertices.length; i++) {
+            if (visibleVertices[i].y > visibleVertices[start].y || 
+                (visibleVertices[i].y === visibleVertices[start].y && visibleVertices[i].x < visibleVertices[start].x)) {
+                start = i;
+            }
+        }
+        
+        // Sort points by polar angle with respect to start point (angles computed once)
+        const startPoint = visibleVertices[start];
+        const sortedPoints = visibleVertices.filter((_, i) => i !== start)
+            .map(point => ({ point, angle: Math.atan2(point.y - startPoint.y, point.x - startPoint.x) }))
+            .sort((a, b) => a.angle - b.angle)
+            .map(entry => entry.point);
+        
+        const hull = [startPoint];
+        for (const point of sortedPoints) {
+            while (hull.length > 1 && this.ccw(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+                hull.pop();
+            }
+            hull.push(point);
+        }
+        
+        return hull;
+    }
+    
+    pointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            if (((polygon[i].y > point.y) !== (polygon[j].y > point.y)) &&
+                (point.x < (polygon[j].x - polygon[i].x) * (point.y - polygon[i].y) / (polygon[j].y - polygon[i].y) + polygon[i].x)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    // Orientation sign of A->B->C (0 when exactly collinear)
+    ccw(A, B, C) {
+        return RobustPredicates.orient2d(A, B, C);
+    }
+    
+    distance(p1, p2) {
+        return Math.sqrt((p1.x - p2.x) ** 2 + (p1.y - p2.y) ** 2);
+    }
+    
+    pointToLineDistance(point, lineStart, lineEnd) {
+        const A = lineEnd.x - lineStart.x;
+        const B = lineEnd.y - lineStart.y;
+        const C = point.x - lineStart.x;
+        const D = point.y - lineStart.y;
+        
+        const dot = A * C + B * D;
+        const lenSq = A * A + B * B;
+        
+        if (lenSq === 0) return this.distance(point, lineStart);
+        
+        let param = Math.max(0, Math.min(1, dot / lenSq));
+        const closest = {
+            x: lineStart.x + param * A,
+            y: lineStart.y + param * B
+        };
+        
+        return this.distance(point, closest);
+    }
+    
+    // The periphery is the outer face of the embedding, convex or not; the hull only
+    // shapes where new vertices may be placed
+    updatePeriphery() {
+        const embedding = this.getEmbedding();
+        if (embedding) {
+            this.periphery = embedding.outerFace();
+        }
+    }
+    
+    ensureClockwiseOrder() {
+        if (this.periphery.length < 3) return;
+        
+        let area = 0;
+        for (let i = 0; i < this.periphery.length; i++) {
+            const j = (i + 1) % this.periphery.length;
+            const vi = this.vertices[this.periphery[i]];
+            const vj = this.vertices[this.periphery[j]];
+            area += (vj.x - vi.x) * (vj.y + vi.y);
+        }
+        
+        if (area < 0) {
+            this.periphery.reverse();
+        }
+    }
+    
+    addRandomSegment() {
+        if (this.periphery.length < 2) {
+            return { success: false, message: "Need at least 2 periphery vertices" };
+        }
+
+        // Pick two random periphery indices (can be non-consecutive)
+        const startIdx = this.random.nextInt(this.periphery.length);
+        let endIdx = this.random.nextInt(this.periphery.length);
+        while (endIdx === startIdx) {
+            endIdx = this.random.nextInt(this.periphery.length);
+        }
+
+        // Get segment between startIdx and endIdx (inclusive, clockwise)
+        const segmentIndices = this.getPeripherySegment(startIdx, endIdx);
+
+        // Select endpoints for the segment
+        this.selectedVertices = [this.periphery[startIdx], this.periphery[endIdx]];
+        this.segmentVertices = segmentIndices;
+
+        // Only process one segment (add one vertex)
+        const result = this.processSegmentSelection();
+
+        // Clear the temporary selection regardless of result
+        this.selectedVertices = [];
+        this.segmentVertices = [];
+
+        // Always return result, even if segment cannot be added
+        return result;
+    }
+
+    // PROGRAMMATIC API - id-based helpers for driving the graph without the UI
+
+    // Add a vertex outside the periphery joined to the shorter periphery path from startId to endId
+    addSegment(startId, endId) {
+        const startIdx = this.periphery.indexOf(this.getVertexIndex(startId));
+        const endIdx = this.periphery.indexOf(this.getVertexIndex(endId));
+        if (startIdx === -1 || endIdx === -1) {
+            return { success: false, message: `V${startIdx === -1 ? startId : endId} is not a periphery vertex` };
+        }
+        if (startIdx === endIdx) {
+            return { success: false, message: "Segment endpoints must be two different vertices." };
+        }
+
+        this.selectedVertices = [this.periphery[startIdx], this.periphery[endIdx]];
+        const result = this.processSegmentSelection();
+        this.selectedVertices = [];
+        this.segmentVertices = [];
+        return result;
+    }
+
+    // Array index of the vertex with this id, or -1
+    getVertexIndex(id) {
+        return this.vertices.findIndex(v => v.id === id);
+    }
+
+    getPeripheryIds() {
+        return this.periphery.map(idx => this.vertices[idx].id);
+    }
+
+    getNeighborIds(id) {
+        const idx = this.getVertexIndex(id);
+        const neighbors = [];
+        for (const [i, j] of this.edges) {
+            if (i === idx) neighbors.push(this.vertices[j].id);
+            if (j === idx) neighbors.push(this.vertices[i].id);
+        }
+        return neighbors.sort((a, b) => a - b);
+    }
+
+    // Plain id-based copy of the drawing, safe to serialize or compare
+    getState() {
+        return {
+            vertices: this.vertices.map(v => ({ id: v.id, x: v.x, y: v.y, visible: v.visible })),
+            edges: this.edges.map(([i, j]) => [this.vertices[i].id, this.vertices[j].id]),
+            periphery: this.getPeripheryIds(),
+            seed: this.random.seed
+        };
+    }
+
+    // (Remove this duplicate toggleManualMode method. The correct implementation is further down in the class.)
+
+    // Copy of everything a mutation can touch, so undo/redo can put the graph back exactly
+    createSnapshot() {
+        return {
+            vertices: this.vertices.map(v => ({ ...v })),
+            edges: this.edges.map(([i, j]) => [i, j]),
+            periphery: [...this.periphery],
+            maxVertexId: this.maxVertexId,
+            selectedVertices: [...this.selectedVertices],
+            segmentVertices: [...this.segmentVertices],
+            construction: {
+                fromTriangle: this.constructionFromTriangle,
+                steps: this.constructionSteps.map(step => [...step])
+            },
+            random: this.random.getState(),
+            coloring: this.coloring ? [...this.coloring] : null,
+            embedding: this.embedding ? this.embedding.getState() : null
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.vertices = snapshot.vertices.map(v => ({ ...v }));
+        this.edges = snapshot.edges.map(([i, j]) => [i, j]);
+        this.periphery = [...snapshot.periphery];
+        this.maxVertexId = snapshot.maxVertexId;
+        this.selectedVertices = [...snapshot.selectedVertices];
+        this.segmentVertices = [...snapshot.segmentVertices];
+        this.hoveredVertex = -1;
+        this.spatialIndex = null;
+        // Snapshots from files carry no embedding; it is rebuilt from the drawing on first use
+        const embedding = snapshot.embedding;
+        this.embedding = embedding && embedding.rotation.length === this.vertices.length ?
+            PlanarEmbedding.fromState(embedding) : null;
+        // Graphs from files without a recorded sequence cannot be rebuilt from the triangle
+        const construction = snapshot.construction || { fromTriangle: false, steps: [] };
+        this.constructionFromTriangle = construction.fromTriangle;
+        this.constructionSteps = construction.steps.map(step => [...step]);
+        // Imported graphs carry no generator state; keep the current one
+        if (snapshot.random) {
+            this.random.setState(snapshot.random);
+        }
+        const coloring = snapshot.coloring;
+        this.coloring = coloring && coloring.length === this.vertices.length ? [...coloring] : null;
+        this.greedyColoring = null;
+    }
+
+    // COLORING - a proper coloring of the current mode, recomputed only when missing or stale
+    getColoring() {
+        const cached = this.coloringMode === 'greedy' ? this.greedyColoring : this.coloring;
+        if (cached && cached.length === this.vertices.length) {
+            return cached;
+        }
+        return this.recomputeColoring();
+    }
+
+    recomputeColoring() {
+        const n = this.vertices.length;
+        const adj = PlanarLayout.adjacency(n, this.edges);
+        if (this.coloringMode === 'greedy') {
+            this.greedyColoring = VertexColoring.greedy(n, adj);
+            return this.greedyColoring;
+        }
+        // Exact search only fails on a non-planar graph; fall back to greedy rather than show nothing
+        this.coloring = VertexColoring.fourColor(n, adj) || VertexColoring.greedy(n, adj);
+        return this.coloring;
+    }
+
+    // Color a newly attached vertex without touching the rest, except for one Kempe swap
+    extendColoring(newIdx) {
+        const n = this.vertices.length;
+        const adj = PlanarLayout.adjacency(n, this.edges);
+
+        if (this.greedyColoring && this.greedyColoring.length === newIdx) {
+            this.greedyColoring.push(-1);
+            this.greedyColoring[newIdx] = VertexColoring.smallestFreeColor(adj, this.greedyColoring, newIdx);
+        } else {
+            this.greedyColoring = null;
+        }
+
+        this.lastColoringRepair = null;
+        if (this.coloring && this.coloring.length === newIdx) {
+            this.coloring.push(-1);
+            const plan = VertexColoring.planKempeRepair(adj, this.coloring, newIdx);
+            // Keep the before-state of anything beyond a plain free color for the Kempe walkthrough
+            const before = plan.steps.length > 1 || !plan.success ? [...this.coloring] : null;
+            if (plan.success) {
+                VertexColoring.applySteps(this.coloring, plan.steps);
+            } else {
+                this.coloring = VertexColoring.fourColor(n, adj) || VertexColoring.greedy(n, adj);
+                const changes = [];
+                this.coloring.forEach((to, vertex) => {
+                    if (before[vertex] !== to) changes.push({ vertex, from: before[vertex], to });
+                });
+                plan.steps.push({ kind: 'recolor', changes });
+            }
+            if (before) {
+                this.lastColoringRepair = { vertex: newIdx, before, steps: plan.steps };
+            }
+        } else {
+            this.coloring = null;
+        }
+
+        // Never keep a coloring that is not proper; getColoring recomputes a dropped one
+        const check = this.verifyColoring();
+        if (!check.valid) {
+            this.coloring = null;
+            this.greedyColoring = null;
+        }
+    }
+
+    verifyColoring() {
+        const colors = this.getColoring();
+        const check = VertexColoring.verify(this.edges, colors);
+        if (!check.valid) return check;
+        return { valid: true, colorCount: VertexColoring.countColors(colors) };
+    }
+
+    // CONSTRUCTION SCRIPTS - one line per added vertex, replayable on a fresh graph
+    getConstructionScript() {
+        const lines = [
+            `# ${this.constructionSteps.length} step(s): new vertex id, then the periphery path it attaches to`
+        ];
+        lines.push(this.constructionFromTriangle ? 'triangle' : '# continues from an imported graph');
+        for (const [id, ...path] of this.constructionSteps) {
+            lines.push(`${id}: ${path.join(' ')}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // Parse a script into steps without touching the graph. Lines are "triangle",
+    // "<id>: <path ids...>" or "<id>: <start>..<end>" (path taken from the periphery)
+    static parseConstructionScript(text) {
+        const steps = [];
+        let fromTriangle = false;
+        const lines = String(text).split(/\r?\n/);
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].replace(/#.*/, '').trim();
+            const lineNo = i + 1;
+            if (!line) continue;
+
+            if (/^triangle$/i.test(line)) {
+                if (steps.length > 0 || fromTriangle) {
+                    return { success: false, message: `Line ${lineNo}: "triangle" must come before any step` };
+                }
+                fromTriangle = true;
+                continue;
+            }
+
+            const match = line.match(/^V?(\d+)\s*:\s*(.+)$/i);
+            if (!match) {
+                return { success: false, message: `Line ${lineNo}: expected "<id>: <path ids>"` };
+            }
+            const id = Number(match[1]);
+            const range = match[2].match(/^V?(\d+)\s*\.\.\s*V?(\d+)$/i);
+            let path;
+            if (range) {
+                path = [Number(range[1]), Number(range[2])];
+            } else {
+                path = match[2].split(/[\s,]+/).map(token => token.replace(/^V/i, ''));
+                if (path.some(token => !/^\d+$/.test(token))) {
+                    return { success: false, message: `Line ${lineNo}: path must be a list of vertex ids` };
+                }
+                path = path.map(Number);
+            }
+            if (path.length < 2) {
+                return { success: false, message: `Line ${lineNo}: path needs at least 2 vertices` };
+            }
+            if (new Set(path).size !== path.length) {
+                return { success: false, message: `Line ${lineNo}: path repeats a vertex` };
+            }
+            steps.push({ id, path, range: !!range, line: lineNo });
+        }
+
+        return { success: true, fromTriangle, steps };
+    }
+
+    // Apply one parsed step. Ids must follow on from maxVertexId so the replay
+    // reproduces the same numbering; the path must be a stretch of the periphery.
+    applyConstructionStep(step) {
+        const where = step.line ? `Line ${step.line}: ` : '';
+        if (step.id !== this.maxVertexId + 1) {
+            return { success: false, message: `${where}expected vertex V${this.maxVertexId + 1}, script adds V${step.id}` };
+        }
+
+        const indexOfId = new Map(this.vertices.map((v, idx) => [v.id, idx]));
+        const missing = step.path.find(id => !indexOfId.has(id));
+        if (missing !== undefined) {
+            return { success: false, message: `${where}V${missing} does not exist` };
+        }
+
+        const startIdx = this.periphery.indexOf(indexOfId.get(step.path[0]));
+        const endIdx = this.periphery.indexOf(indexOfId.get(step.path[step.path.length - 1]));
+        if (startIdx === -1 || endIdx === -1) {
+            return { success: false, message: `${where}path endpoints must be periphery vertices` };
+        }
+
+        const segmentVertices = step.range
+            ? this.getPeripherySegment(startIdx, endIdx)
+            : step.path.map(id => indexOfId.get(id));
+        // An explicit path must walk the periphery between its endpoints, either way round;
+        // skipping periphery vertices would leave them inside a non-triangular face
+        if (!step.range && !this.getPeripheryRun(segmentVertices)) {
+            return { success: false, message: `${where}${step.path.map(id => `V${id}`).join(' ')} is not a stretch of the periphery` };
+        }
+
+        const result = this.attachVertex(segmentVertices);
+        if (!result.success) {
+            return { success: false, message: where + result.message };
+        }
+        return result;
+    }
+
+    // Replay a whole script; the graph is left untouched unless every step succeeds
+    replayConstructionScript(text) {
+        const parsed = Graph.parseConstructionScript(text);
+        if (!parsed.success) return parsed;
+
+        const before = this.createSnapshot();
+        if (parsed.fromTriangle) {
+            this.initializeTriangle();
+        }
+        for (const step of parsed.steps) {
+            const result = this.applyConstructionStep(step);
+            if (!result.success) {
+                this.restoreSnapshot(before);
+                return result;
+            }
+        }
+        this.selectedVertices = [];
+        this.segmentVertices = [];
+        return { success: true, message: `Replayed ${parsed.steps.length} step(s)` };
+    }
+}
+
+// SEEDED RANDOM - mulberry32, small and fast with a 32-bit state that fits in a session
+class SeededRandom {
+    constructor(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Accept numbers or arbitrary text; text is hashed (FNV-1a) so "bug-42" is a valid seed
+    static normalizeSeed(value) {
+        const text = String(value).trim();
+        if (/^\d+$/.test(text) && Number(text) <= 0xffffffff) {
+            return Number(text);
+        }
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    // Uniform float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Uniform integer in [0, n)
+    nextInt(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    reset() {
+        this.state = this.seed;
+    }
+
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState({ seed, state }) {
+        this.seed = seed >>> 0;
+        this.state = state >>> 0;
+    }
+}
+
+// ROBUST PREDICATES - exact orientation tests on double coordinates. A floating-point
+// filter answers almost every call; near-degenerate ones fall back to exact expansion
+// arithmetic (Shewchuk-style two-sum/two-product), so collinear really means collinear.
+const PREDICATE_EPSILON = Math.pow(2, -53);
+const ORIENT_ERROR_BOUND = (3 + 16 * PREDICATE_EPSILON) * PREDICATE_EPSILON;
+const SPLITTER = Math.pow(2, 27) + 1;
+
+class RobustPredicates {
+    // Sign of (b - a) x (c - a): 1, -1, or 0 when the three points are exactly collinear.
+    // With the screen's y axis pointing down, 1 means clockwise on screen.
+    static orient2d(a, b, c) {
+        const detLeft = (a.x - c.x) * (b.y - c.y);
+        const detRight = (a.y - c.y) * (b.x - c.x);
+        const det = detLeft - detRight;
+        const detSum = Math.abs(detLeft) + Math.abs(detRight);
+        if (Math.abs(det) > ORIENT_ERROR_BOUND * detSum) {
+            return Math.sign(det);
+        }
+        return RobustPredicates.orient2dExact(a, b, c);
+    }
+
+    // det = ax*by - ay*bx + bx*cy - by*cx + cx*ay - cy*ax, with every product and sum exact
+    static orient2dExact(a, b, c) {
+        let expansion = [];
+        const terms = [
+            [a.x, b.y], [-a.y, b.x], [b.x, c.y], [-b.y, c.x], [c.x, a.y], [-c.y, a.x]
+        ];
+        for (const [p, q] of terms) {
+            const [hi, lo] = RobustPredicates.twoProduct(p, q);
+            expansion = RobustPredicates.growExpansion(expansion, lo);
+            expansion = RobustPredicates.growExpansion(expansion, hi);
+        }
+        // Components are nonoverlapping and increasing, so the largest nonzero one has the sign
+        for (let i = expansion.length - 1; i >= 0; i--) {
+            if (expansion[i] !== 0) return Math.sign(expansion[i]);
+        }
+        return 0;
+    }
+
+    static twoSum(a, b) {
+        const sum = a + b;
+        const bVirtual = sum - a;
+        const aVirtual = sum - bVirtual;
+        return [sum, (a - aVirtual) + (b - bVirtual)];
+    }
+
+    static split(a) {
+        const c = SPLITTER * a;
+        const hi = c - (c - a);
+        return [hi, a - hi];
+    }
+
+    static twoProduct(a, b) {
+        const product = a * b;
+        const [aHi, aLo] = RobustPredicates.split(a);
+        const [bHi, bLo] = RobustPredicates.split(b);
+        const error = aLo * bLo - (((product - aHi * bHi) - aLo * bHi) - aHi * bLo);
+        return [product, error];
+    }
+
+    // Add one double to a nonoverlapping expansion, dropping zero components
+    static growExpansion(expansion, value) {
+        const result = [];
+        let q = value;
+        for (const component of expansion) {
+            const [sum, error] = RobustPredicates.twoSum(q, component);
+            if (error !== 0) result.push(error);
+            q = sum;
+        }
+        if (q !== 0 || result.length === 0) result.push(q);
+        return result;
+    }
+
+    // p is known to be collinear with a-b; is it within the closed segment?
+    static onSegment(p, a, b) {
+        return Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x) &&
+               Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
+    }
+
+    // How segments a-b and c-d with no shared endpoint meet:
+    // 'disjoint', 'cross' (proper crossing), 'touch' (an endpoint lies on the other
+    // segment, a T-junction) or 'overlap' (collinear with a common stretch)
+    static segmentRelation(a, b, c, d) {
+        const o1 = RobustPredicates.orient2d(a, b, c);
+        const o2 = RobustPredicates.orient2d(a, b, d);
+        // Both ends strictly on one side: the common case, settled with two tests
+        if (o1 * o2 > 0) return 'disjoint';
+        const o3 = RobustPredicates.orient2d(c, d, a);
+        const o4 = RobustPredicates.orient2d(c, d, b);
+        if (o3 * o4 > 0) return 'disjoint';
+
+        if (o1 === 0 && o2 === 0) {
+            // A zero-length a-b is a point, which the tests above put on the line through c-d
+            if (a.x === b.x && a.y === b.y) return RobustPredicates.onSegment(a, c, d) ? 'touch' : 'disjoint';
+            // Collinear: compare the extents along the line (coordinate comparisons are exact)
+            const axis = a.x !== b.x ? 'x' : 'y';
+            const lo = Math.max(Math.min(a[axis], b[axis]), Math.min(c[axis], d[axis]));
+            const hi = Math.min(Math.max(a[axis], b[axis]), Math.max(c[axis], d[axis]));
+            if (lo < hi) return 'overlap';
+            return lo === hi ? 'touch' : 'disjoint';
+        }
+
+        if (o1 * o2 < 0 && o3 * o4 < 0) return 'cross';
+
+        if ((o1 === 0 && RobustPredicates.onSegment(c, a, b)) ||
+            (o2 === 0 && RobustPredicates.onSegment(d, a, b)) ||
+            (o3 === 0 && RobustPredicates.onSegment(a, c, d)) ||
+            (o4 === 0 && RobustPredicates.onSegment(b, c, d))) {
+            return 'touch';
+        }
+        return 'disjoint';
+    }
+
+    // Segments s-p and s-q share the endpoint s; they overlap if they leave s in the same direction
+    static adjacentOverlap(s, p, q) {
+        if (RobustPredicates.orient2d(s, p, q) !== 0) return false;
+        // Collinear, so the signs of the coordinate differences fix the direction exactly
+        return Math.sign(p.x - s.x) === Math.sign(q.x - s.x) &&
+               Math.sign(p.y - s.y) === Math.sign(q.y - s.y);
+    }
+}
+
+// SPATIAL INDEX - uniform grid over vertex points and edge paths. An edge is registered
+// in every cell its segment passes through plus a one-cell band around them, so a
+// segment query only has to walk its own cells. Queries return a superset of the nearby
+// vertices/edges; callers still run the exact tests.
+const GRID_MIN_CELL_SIZE = 128;
+const GRID_MAX_WALK = 4096;      // cells; longer walks fall back to every edge
+const GRID_OFFSET = 1 << 20;     // keeps cell keys non-negative integers
+
+class SpatialGrid {
+    constructor(cellSize = GRID_MIN_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();      // cell key -> { vertices: [], edges: [] }
+        this.vertexKeys = [];        // vertex index -> cell key
+        this.edgeKeys = [];          // edge index -> cell keys it is registered in
+        this.incident = [];          // vertex index -> edge indices
+        this.marks = [];             // per-edge query stamp so each edge is reported once
+        this.stamp = 0;
+        this.edgeCount = 0;
+        this.totalLength = 0;
+    }
+
+    // Cells about as large as the average edge keep both walks and cell lists short
+    static build(vertices, edges) {
+        let total = 0;
+        for (const [i, j] of edges) {
+            total += Math.hypot(vertices[i].x - vertices[j].x, vertices[i].y - vertices[j].y);
+        }
+        const mean = edges.length ? total / edges.length : 0;
+        const grid = new SpatialGrid(Math.max(GRID_MIN_CELL_SIZE, mean));
+        vertices.forEach((v, idx) => grid.insertVertex(idx, v));
+        edges.forEach(([i, j], k) => grid.insertEdge(k, i, j, vertices[i], vertices[j]));
+        return grid;
+    }
+
+    // Edges have grown well past the cell size, so a rebuild would pay for itself
+    isStale() {
+        return this.edgeCount > 0 && this.totalLength / this.edgeCount > 4 * this.cellSize;
+    }
+
+    cellCoord(value) {
+        const c = Math.floor(value / this.cellSize);
+        return Math.max(-GRID_OFFSET, Math.min(GRID_OFFSET - 1, c));
+    }
+
+    key(cx, cy) {
+        return (cx + GRID_OFFSET) * 2 * GRID_OFFSET + (cy + GRID_OFFSET);
+    }
+
+    cell(key) {
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = { vertices: [], edges: [] };
+            this.cells.set(key, cell);
+        }
+        return cell;
+    }
+
+    // Visit the cells segment a-b passes through, in order (grid traversal after
+    // Amanatides & Woo). Returns false, having visited nothing, if the walk is too long.
+    walk(a, b, visit) {
+        let cx = this.cellCoord(a.x), cy = this.cellCoord(a.y);
+        const endX = this.cellCoord(b.x), endY = this.cellCoord(b.y);
+        const steps = Math.abs(endX - cx) + Math.abs(endY - cy);
+        if (steps > GRID_MAX_WALK) return false;
+
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const stepX = Math.sign(dx), stepY = Math.sign(dy);
+        const nextX = (cx + (stepX > 0 ? 1 : 0)) * this.cellSize;
+        const nextY = (cy + (stepY > 0 ? 1 : 0)) * this.cellSize;
+        let tMaxX = stepX !== 0 ? (nextX - a.x) / dx : Infinity;
+        let tMaxY = stepY !== 0 ? (nextY - a.y) / dy : Infinity;
+        const tDeltaX = stepX !== 0 ? this.cellSize / Math.abs(dx) : Infinity;
+        const tDeltaY = stepY !== 0 ? this.cellSize / Math.abs(dy) : Infinity;
+
+        visit(cx, cy);
+        for (let n = 0; n < steps; n++) {
+            if (cx === endX && cy === endY) break;
+            // Never step past the end cell on an axis, whatever rounding says
+            if ((tMaxX < tMaxY && cx !== endX) || cy === endY) {
+                cx += stepX;
+                tMaxX += tDeltaX;
+            } else {
+                cy += stepY;
+                tMaxY += tDeltaY;
+            }
+            visit(cx, cy);
+        }
+        return true;
+    }
+
+    insertVertex(idx, p) {
+        const key = this.key(this.cellCoord(p.x), this.cellCoord(p.y));
+        this.vertexKeys[idx] = key;
+        this.cell(key).vertices.push(idx);
+        if (!this.incident[idx]) this.incident[idx] = [];
+    }
+
+    removeVertex(idx) {
+        const cell = this.cells.get(this.vertexKeys[idx]);
+        cell.vertices.splice(cell.vertices.indexOf(idx), 1);
+        this.vertexKeys[idx] = undefined;
+    }
+
+    insertEdge(k, i, j, a, b) {
+        // The one-cell band absorbs rounding in either walk near cell borders and corners
+        const keys = new Set();
+        const band = (cx, cy) => {
+            for (let ox = -1; ox <= 1; ox++) {
+                for (let oy = -1; oy <= 1; oy++) keys.add(this.key(cx + ox, cy + oy));
+            }
+        };
+        if (!this.walk(a, b, band)) {
+            // Too long to walk: keep it in a list that every query returns
+            keys.add(-1);
+        }
+        for (const key of keys) {
+            this.cell(key).edges.push(k);
+        }
+        this.edgeKeys[k] = [...keys];
+        (this.incident[i] = this.incident[i] || []).push(k);
+        (this.incident[j] = this.incident[j] || []).push(k);
+        this.marks[k] = 0;
+        this.edgeCount++;
+        this.totalLength += Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    removeEdge(k, i, j, a, b) {
+        for (const key of this.edgeKeys[k]) {
+            const edges = this.cells.get(key).edges;
+            edges.splice(edges.indexOf(k), 1);
+        }
+        this.edgeKeys[k] = undefined;
+        this.incident[i].splice(this.incident[i].indexOf(k), 1);
+        this.incident[j].splice(this.incident[j].indexOf(k), 1);
+        this.edgeCount--;
+        this.totalLength -= Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // Re-register a moved vertex and every edge that ends at it. oldPosition is where
+    // the vertex was when its edges were inserted.
+    moveVertex(idx, oldPosition, vertices, edges) {
+        this.removeVertex(idx);
+        this.insertVertex(idx, vertices[idx]);
+        for (const k of [...this.incident[idx]]) {
+            const [i, j] = edges[k];
+            const a = i === idx ? oldPosition : vertices[i];
+            const b = j === idx ? oldPosition : vertices[j];
+            this.removeEdge(k, i, j, a, b);
+            this.insertEdge(k, i, j, vertices[i], vertices[j]);
+        }
+    }
+
+    // Vertices in the cells overlapping the rectangle
+    queryVertices(minX, minY, maxX, maxY) {
+        const result = [];
+        const cx0 = this.cellCoord(minX), cx1 = this.cellCoord(maxX);
+        const cy0 = this.cellCoord(minY), cy1 = this.cellCoord(maxY);
+        if ((cx1 - cx0 + 1) * (cy1 - cy0 + 1) > GRID_MAX_WALK) {
+            this.vertexKeys.forEach((key, idx) => {
+                if (key !== undefined) result.push(idx);
+            });
+            return result;
+        }
+        for (let cx = cx0; cx <= cx1; cx++) {
+            for (let cy = cy0; cy <= cy1; cy++) {
+                const cell = this.cells.get(this.key(cx, cy));
+                if (cell) result.push(...cell.vertices);
+            }
+        }
+        return result;
+    }
+
+    collector() {
+        const result = [];
+        const stamp = ++this.stamp;
+        const take = k => {
+            if (this.marks[k] !== stamp) {
+                this.marks[k] = stamp;
+                result.push(k);
+            }
+        };
+        const long = this.cells.get(-1);
+        if (long) long.edges.forEach(take);
+        return { result, take };
+    }
+
+    allEdges() {
+        const result = [];
+        this.edgeKeys.forEach((keys, k) => {
+            if (keys !== undefined) result.push(k);
+        });
+        return result;
+    }
+
+    // Edges passing through the cells overlapping the rectangle
+    queryEdges(minX, minY, maxX, maxY) {
+        const cx0 = this.cellCoord(minX), cx1 = this.cellCoord(maxX);
+        const cy0 = this.cellCoord(minY), cy1 = this.cellCoord(maxY);
+        if ((cx1 - cx0 + 1) * (cy1 - cy0 + 1) > GRID_MAX_WALK) return this.allEdges();
+
+        const { result, take } = this.collector();
+        for (let cx = cx0; cx <= cx1; cx++) {
+            for (let cy = cy0; cy <= cy1; cy++) {
+                const cell = this.cells.get(this.key(cx, cy));
+                if (cell) cell.edges.forEach(take);
+            }
+        }
+        return result;
+    }
+
+    // Vertices that may lie within a cell of segment a-b: those in the cells it walks
+    // through and the ring of cells around them
+    queryVerticesNear(a, b) {
+        const keys = new Set();
+        const walked = this.walk(a, b, (cx, cy) => {
+            for (let ox = -1; ox <= 1; ox++) {
+                for (let oy = -1; oy <= 1; oy++) keys.add(this.key(cx + ox, cy + oy));
+            }
+        });
+        if (!walked) return this.queryVertices(-Infinity, -Infinity, Infinity, Infinity);
+        const result = [];
+        for (const key of keys) {
+            const cell = this.cells.get(key);
+            if (cell) result.push(...cell.vertices);
+        }
+        return result;
+    }
+
+    // Edges that may touch segment a-b: those registered in the cells it walks through
+    queryEdgesNear(a, b) {
+        const { result, take } = this.collector();
+        const walked = this.walk(a, b, (cx, cy) => {
+            const cell = this.cells.get(this.key(cx, cy));
+            if (cell) cell.edges.forEach(take);
+        });
+        return walked ? result : this.allEdges();
+    }
+}
+
+// CROSSING SWEEP - Bentley-Ottmann: sweep a vertical line left to right, keep the edges
+// it cuts ordered bottom to top, and only test edges that become neighbors in that order.
+// Every pair that meets is reported once, with the meeting point. The order is kept
+// combinatorially (neighbors swap at their crossing), and every reported pair is
+// confirmed with the exact classification, so rounded crossing points only affect
+// when a swap happens, never what is reported.
+const SWEEP_VERTEX = 1;
+const SWEEP_CROSS = 0;  // before a vertex event at the very same point
+const SWEEP_TOLERANCE = 1e-9;
+
+class CrossingSweep {
+    // segments: [{ a, b, key }] with point objects a, b; classify(s, t) is the exact
+    // contact test ('cross' | 'touch' | 'overlap' | null). Returns [{ first, second, kind, point }].
+    static findAll(segments, classify) {
+        // Distinct vertices on one spot (which includes zero-length edges) defeat the
+        // ordering the sweep relies on, so such drawings take the pairwise check
+        if (CrossingSweep.hasSharedPositions(segments)) {
+            return CrossingSweep.findAllPairwise(segments, classify);
+        }
+        const sweep = new CrossingSweep(classify);
+        return sweep.run(segments);
+    }
+
+    static hasSharedPositions(segments) {
+        const seen = new Map();
+        for (const { a, b } of segments) {
+            for (const p of [a, b]) {
+                const key = `${p.x},${p.y}`;
+                const other = seen.get(key);
+                if (other === undefined) seen.set(key, p);
+                else if (other !== p) return true;
+            }
+        }
+        return false;
+    }
+
+    // Every pair whose bounding boxes meet, classified exactly; same result shape as run
+    static findAllPairwise(segments, classify) {
+        const oriented = segments.map(segment => (CrossingSweep.isLeftOf(segment.b, segment.a) ?
+            { a: segment.b, b: segment.a, key: segment.key, source: segment } :
+            { a: segment.a, b: segment.b, key: segment.key, source: segment }));
+        oriented.sort((s, t) => s.a.x - t.a.x);
+        const found = [];
+        for (let m = 0; m < oriented.length; m++) {
+            const s = oriented[m];
+            const sLow = Math.min(s.a.y, s.b.y), sHigh = Math.max(s.a.y, s.b.y);
+            for (let n = m + 1; n < oriented.length && oriented[n].a.x <= s.b.x; n++) {
+                const t = oriented[n];
+                if (Math.max(t.a.y, t.b.y) < sLow || Math.min(t.a.y, t.b.y) > sHigh) continue;
+                const kind = classify(s.source, t.source);
+                if (!kind) continue;
+                const [first, second] = s.key < t.key ? [s, t] : [t, s];
+                found.push({ first: first.key, second: second.key, kind, point: CrossingSweep.contactPoint(first, second, kind) });
+            }
+        }
+        return found;
+    }
+
+    constructor(classify) {
+        this.classify = classify;
+        this.status = [];            // segments cut by the sweep line, bottom to top
+        this.events = [];            // binary heap ordered by CrossingSweep.compareEvents
+        this.reported = new Map();   // pair key -> result entry
+        this.flipped = new Set();    // pair keys currently in the reverse of their start order
+        this.pending = new Set();    // pair keys with a swap event queued
+        this.current = null;         // event being processed
+    }
+
+    // Left-to-right, then bottom-to-top, with crossings ahead of vertices at one point
+    static compareEvents(e, f) {
+        return e.x - f.x || e.y - f.y || e.type - f.type;
+    }
+
+    static isLeftOf(p, q) {
+        return p.x < q.x || (p.x === q.x && p.y < q.y);
+    }
+
+    pushEvent(event) {
+        const heap = this.events;
+        heap.push(event);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (CrossingSweep.compareEvents(heap[parent], heap[i]) <= 0) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    popEvent() {
+        const heap = this.events;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1, r = l + 1;
+                let min = i;
+                if (l < heap.length && CrossingSweep.compareEvents(heap[l], heap[min]) < 0) min = l;
+                if (r < heap.length && CrossingSweep.compareEvents(heap[r], heap[min]) < 0) min = r;
+                if (min === i) break;
+                [heap[min], heap[i]] = [heap[i], heap[min]];
+                i = min;
+            }
+        }
+        return top;
+    }
+
+    run(segments) {
+        // One vertex event per distinct point, listing the segments that start and end there
+        const vertexEvents = new Map();
+        const eventAt = p => {
+            const key = `${p.x},${p.y}`;
+            let event = vertexEvents.get(key);
+            if (!event) {
+                event = { x: p.x, y: p.y, type: SWEEP_VERTEX, starts: [], ends: [], points: [] };
+                vertexEvents.set(key, event);
+                this.pushEvent(event);
+            }
+            return event;
+        };
+        for (const segment of segments) {
+            // Orient every segment left to right (bottom to top when vertical)
+            const s = CrossingSweep.isLeftOf(segment.b, segment.a) ?
+                { a: segment.b, b: segment.a, key: segment.key, source: segment } :
+                { a: segment.a, b: segment.b, key: segment.key, source: segment };
+            if (s.a.x === s.b.x && s.a.y === s.b.y) {
+                // Both ends on one spot: it never enters the status, only meets what is at that point
+                eventAt(s.a).points.push(s);
+                continue;
+            }
+            eventAt(s.a).starts.push(s);
+            eventAt(s.b).ends.push(s);
+        }
+
+        while (this.events.length > 0) {
+            this.current = this.popEvent();
+            if (this.current.type === SWEEP_VERTEX) {
+                this.handleVertex(this.current);
+            } else {
+                this.handleCross(this.current);
+            }
+        }
+        return [...this.reported.values()];
+    }
+
+    // 1 if segment s passes below point p, -1 above, 0 through its line
+    static side(s, p) {
+        // Endpoints are common and would each need the exact fallback
+        if ((p.x === s.b.x && p.y === s.b.y) || (p.x === s.a.x && p.y === s.a.y)) return 0;
+        return RobustPredicates.orient2d(s.a, s.b, p);
+    }
+
+    // Passes within rounding distance of p; only such segments can be out of order around p
+    static isNear(s, p) {
+        const dx = s.b.x - s.a.x, dy = s.b.y - s.a.y;
+        const cross = Math.abs(dx * (p.y - s.a.y) - dy * (p.x - s.a.x));
+        const scale = Math.max(1, Math.abs(s.a.x), Math.abs(s.a.y), Math.abs(s.b.x), Math.abs(s.b.y),
+            Math.abs(p.x), Math.abs(p.y));
+        return cross <= SWEEP_TOLERANCE * scale * Math.hypot(dx, dy);
+    }
+
+    handleVertex(event) {
+        const p = event;
+        const status = this.status;
+        const side = s => CrossingSweep.side(s, p);
+
+        // Segments ending at p or passing through it form one run in the status. A crossing
+        // point rounded to the wrong side of p can leave a segment passing very close to p
+        // out of order, so the window takes in every such segment and sorts them out.
+        let lo = 0, hi = status.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (side(status[mid]) > 0) lo = mid + 1;
+            else hi = mid;
+        }
+        const near = s => side(s) === 0 || CrossingSweep.isNear(s, p);
+        let end = lo;
+        while (end < status.length && near(status[end])) end++;
+        while (lo > 0 && near(status[lo - 1])) lo--;
+
+        // An ending segment stranded further away meets everything between it and p
+        const inWindow = new Set(status.slice(lo, end));
+        for (const s of event.ends) {
+            if (inWindow.has(s)) continue;
+            const idx = status.indexOf(s);
+            if (idx === -1) continue;
+            const passed = idx < lo ? status.slice(idx + 1, lo) : status.slice(end, idx);
+            for (const t of passed) this.check(s, t);
+            status.splice(idx, 1);
+            if (idx > 0 && idx < status.length) this.check(status[idx - 1], status[idx]);
+            if (idx < lo) { lo--; end--; }
+        }
+
+        const window = status.slice(lo, end);
+        const ending = new Set(event.ends);
+        const rank = s => { const d = side(s); return d > 0 ? 0 : d === 0 ? 1 : 2; };
+        const ranks = window.map(rank);
+        // An ending segment on the wrong side of another passes it at about p
+        for (let m = 0; m < window.length; m++) {
+            for (let n = m + 1; n < window.length; n++) {
+                if (ranks[m] > ranks[n] && (ending.has(window[m]) || ending.has(window[n]))) {
+                    this.check(window[m], window[n]);
+                }
+            }
+        }
+        const through = window.filter((s, k) => ranks[k] === 1 && !ending.has(s));
+
+        // Distinct vertices sharing the position p touch each other's segments there
+        const ownPoint = s => (s.a.x === p.x && s.a.y === p.y ? s.a : s.b);
+        const incident = [...event.starts, ...event.ends, ...event.points];
+        if (incident.some(s => ownPoint(s) !== ownPoint(incident[0]))) {
+            for (let m = 0; m < incident.length; m++) {
+                for (let n = m + 1; n < incident.length; n++) {
+                    if (ownPoint(incident[m]) !== ownPoint(incident[n])) this.check(incident[m], incident[n]);
+                }
+            }
+        }
+        // A segment through p meets everything else at p
+        const atPoint = [...incident, ...through];
+        for (const s of through) {
+            for (const t of atPoint) {
+                if (s !== t) this.check(s, t);
+            }
+        }
+
+        // Put the window back: segments below p, those leaving p ordered by direction, those
+        // above. Pairs that change order here pass each other at (about) p.
+        const leaving = [...through, ...event.starts].sort((s, t) => -RobustPredicates.orient2d(p, s.b, t.b));
+        const replaced = [
+            ...window.filter((s, k) => ranks[k] === 0),
+            ...leaving,
+            ...window.filter((s, k) => ranks[k] === 2)
+        ];
+        const passed = this.reorder(window, replaced);
+        status.splice(lo, end - lo, ...replaced);
+        for (const [s, t] of passed) this.check(s, t);
+        this.checkSameDirection(p, leaving, s => s.b);
+        this.checkSameDirection(p, event.ends.slice().sort((s, t) => RobustPredicates.orient2d(p, s.a, t.a)), s => s.a);
+
+        // New neighbors in and around the window
+        for (let k = Math.max(lo, 1); k <= Math.min(lo + replaced.length, status.length - 1); k++) {
+            this.check(status[k - 1], status[k]);
+        }
+    }
+
+    // Segments sorted by direction from p overlap when they leave p the same way; each run
+    // of equal directions is checked pair by pair
+    checkSameDirection(p, sorted, far) {
+        let start = 0;
+        for (let k = 1; k <= sorted.length; k++) {
+            if (k < sorted.length && RobustPredicates.orient2d(p, far(sorted[start]), far(sorted[k])) === 0) continue;
+            for (let m = start; m < k; m++) {
+                for (let n = m + 1; n < k; n++) this.check(sorted[m], sorted[n]);
+            }
+            start = k;
+        }
+    }
+
+    handleCross(event) {
+        const status = this.status;
+        this.pending.delete(CrossingSweep.pairKey(event.lower, event.upper));
+        const i = status.indexOf(event.lower);
+        const j = status.indexOf(event.upper);
+        // Gone, or already swapped along with others
+        if (i === -1 || j === -1 || i > j) return;
+
+        // Usually neighbors that just swap. When other edges got between them, all of them
+        // pass through (about) the same point and leave it ordered by direction.
+        const block = status.slice(i, j + 1);
+        const before = block.slice();
+        if (block.length === 2) {
+            block.reverse();
+        } else {
+            block.sort((s, t) => {
+                const cross = (s.b.x - s.a.x) * (t.b.y - t.a.y) - (s.b.y - s.a.y) * (t.b.x - t.a.x);
+                return -Math.sign(cross) || before.indexOf(s) - before.indexOf(t);
+            });
+        }
+        const passed = this.reorder(before, block);
+        status.splice(i, block.length, ...block);
+        for (const [s, t] of passed) this.check(s, t);
+        for (let k = Math.max(i, 1); k <= Math.min(j + 1, status.length - 1); k++) {
+            this.check(status[k - 1], status[k]);
+        }
+    }
+
+    // Record that every pair whose order differs between before and after has passed
+    // each other (a pair passing back, a swap undone after rounding, may cross again later).
+    // Returns those pairs for checking once the status is updated.
+    reorder(before, after) {
+        const position = new Map(before.map((s, k) => [s, k]));
+        const passed = [];
+        for (let m = 0; m < after.length; m++) {
+            for (let n = m + 1; n < after.length; n++) {
+                const s = after[m], t = after[n];
+                if (!position.has(s) || !position.has(t) || position.get(s) < position.get(t)) continue;
+                const key = CrossingSweep.pairKey(s, t);
+                if (this.flipped.has(key)) this.flipped.delete(key);
+                else this.flipped.add(key);
+                passed.push([s, t]);
+            }
+        }
+        return passed;
+    }
+
+    static pairKey(s, t) {
+        return s.key < t.key ? `${s.key}:${t.key}` : `${t.key}:${s.key}`;
+    }
+
+    // Exact test of one pair: record any contact, and schedule the swap of a crossing pair
+    // whose lower member is s
+    check(s, t) {
+        const key = CrossingSweep.pairKey(s, t);
+        let entry = this.reported.get(key);
+        if (!entry) {
+            const kind = this.classify(s.source, t.source);
+            if (!kind) return;
+            const [first, second] = s.key < t.key ? [s, t] : [t, s];
+            entry = {
+                first: first.key,
+                second: second.key,
+                kind,
+                point: CrossingSweep.contactPoint(first, second, kind)
+            };
+            this.reported.set(key, entry);
+        }
+        if (entry.kind !== 'cross' || this.flipped.has(key) || this.pending.has(key)) return;
+
+        const lower = this.status.indexOf(s) < this.status.indexOf(t) ? s : t;
+        const upper = lower === s ? t : s;
+        this.pending.add(key);
+        // A point rounded to before the current event is handled right away
+        const point = CrossingSweep.isLeftOf(entry.point, this.current) ? this.current : entry.point;
+        this.pushEvent({ x: point.x, y: point.y, type: SWEEP_CROSS, lower, upper });
+    }
+
+    // Where two segments meet: the crossing point, the touching endpoint or the middle
+    // of the shared stretch
+    static contactPoint(s, t, kind) {
+        if (kind === 'cross') {
+            const d1x = s.b.x - s.a.x, d1y = s.b.y - s.a.y;
+            const d2x = t.b.x - t.a.x, d2y = t.b.y - t.a.y;
+            const denom = d1x * d2y - d1y * d2x;
+            const u = ((t.a.x - s.a.x) * d2y - (t.a.y - s.a.y) * d2x) / denom;
+            // Nearly parallel segments can round to no intersection at all; they are then
+            // handled like an overlap below
+            if (Number.isFinite(u)) {
+                // Keep the rounded point within both segments' x ranges (exact for a vertical one)
+                const x = Math.min(Math.max(s.a.x + u * d1x, s.a.x, t.a.x), s.b.x, t.b.x);
+                return { x, y: s.a.y + Math.min(Math.max(u, 0), 1) * d1y };
+            }
+        }
+        if (kind === 'touch') {
+            const onOther = (p, other) => RobustPredicates.orient2d(other.a, other.b, p) === 0 &&
+                RobustPredicates.onSegment(p, other.a, other.b);
+            for (const [p, other] of [[t.a, s], [t.b, s], [s.a, t], [s.b, t]]) {
+                if (onOther(p, other)) return { x: p.x, y: p.y };
+            }
+        }
+        // Overlap: the two middle endpoints in sweep order bound the shared stretch
+        const points = [s.a, s.b, t.a, t.b].sort((p, q) => p.x - q.x || p.y - q.y);
+        return { x: (points[1].x + points[2].x) / 2, y: (points[1].y + points[2].y) / 2 };
+    }
+}
+
+// PLANAR LAYOUT - combinatorial embedding and straight-line drawing of index-based graphs
+class PlanarLayout {
+    static adjacency(n, edges) {
+        const adj = Array.from({ length: n }, () => []);
+        for (const [i, j] of edges) {
+            adj[i].push(j);
+            adj[j].push(i);
+        }
+        return adj;
+    }
+
+    // Iterative Tarjan lowpoint search: reports connectivity and one cut vertex, if any
+    static checkBiconnected(n, adj) {
+        const disc = new Int32Array(n).fill(-1);
+        const low = new Int32Array(n);
+        const parent = new Int32Array(n).fill(-1);
+        const next = new Int32Array(n);
+        let time = 0;
+        let rootChildren = 0;
+
+        disc[0] = low[0] = time++;
+        const stack = [0];
+        while (stack.length > 0) {
+            const v = stack[stack.length - 1];
+            if (next[v] < adj[v].length) {
+                const w = adj[v][next[v]++];
+                if (disc[w] === -1) {
+                    parent[w] = v;
+                    disc[w] = low[w] = time++;
+                    if (v === 0) rootChildren++;
+                    stack.push(w);
+                } else if (w !== parent[v]) {
+                    low[v] = Math.min(low[v], disc[w]);
+                }
+            } else {
+                stack.pop();
+                const p = parent[v];
+                if (p === -1) continue;
+                low[p] = Math.min(low[p], low[v]);
+                if (p !== 0 && low[v] >= disc[p]) {
+                    return { connected: true, cutVertex: p };
+                }
+            }
+        }
+
+        if (time < n) return { connected: false, cutVertex: -1 };
+        return { connected: true, cutVertex: rootChildren > 1 ? 0 : -1 };
+    }
+
+    // Neighbours of every vertex in clockwise screen order (y points down, so ascending atan2)
+    static rotationFromPositions(points, edges) {
+        const adj = PlanarLayout.adjacency(points.length, edges);
+        return adj.map((neighbors, v) => neighbors.sort((a, b) =>
+            Math.atan2(points[a].y - points[v].y, points[a].x - points[v].x) -
+            Math.atan2(points[b].y - points[v].y, points[b].x - points[v].x)));
+    }
+
+    // Faces of a crossing-free straight-line drawing, each a cyclic list of vertex indices
+    static facesFromPositions(points, edges) {
+        return PlanarLayout.facesFromRotation(PlanarLayout.rotationFromPositions(points, edges));
+    }
+
+    // Trace the faces of a rotation system given as clockwise neighbour lists
+    static facesFromRotation(rotation) {
+        const n = rotation.length;
+        const slot = rotation.map(neighbors => new Map(neighbors.map((u, k) => [u, k])));
+
+        const visited = new Set();
+        const faces = [];
+        for (let u = 0; u < n; u++) {
+            for (const v of rotation[u]) {
+                if (visited.has(u * n + v)) continue;
+                const face = [];
+                let a = u, b = v;
+                do {
+                    visited.add(a * n + b);
+                    face.push(a);
+                    // Turn to the neighbour of b that precedes a in the rotation
+                    const deg = rotation[b].length;
+                    const w = rotation[b][(slot[b].get(a) - 1 + deg) % deg];
+                    a = b;
+                    b = w;
+                } while (a !== u || b !== v);
+                faces.push(face);
+            }
+        }
+        return faces;
+    }
+
+    static signedArea(points, cycle) {
+        let area = 0;
+        for (let i = 0; i < cycle.length; i++) {
+            const p = points[cycle[i]];
+            const q = points[cycle[(i + 1) % cycle.length]];
+            area += p.x * q.y - q.x * p.y;
+        }
+        return area / 2;
+    }
+
+    // The outer face encloses all others, so it has the largest absolute area; it is also
+    // traced the other way round (negative area), which settles the tie for a lone cycle
+    static outerFace(points, faces) {
+        let best = faces[0];
+        let bestArea = -1;
+        let bestNegative = false;
+        for (const face of faces) {
+            const signed = PlanarLayout.signedArea(points, face);
+            const area = Math.abs(signed);
+            const negative = signed < 0;
+            if (area > bestArea * (1 + 1e-9) || (area >= bestArea * (1 - 1e-9) && negative && !bestNegative)) {
+                bestNegative = negative;
+                best = face;
+                bestArea = area;
+            }
+        }
+        return best;
+    }
+
+    // Demoucron–Malgrange–Pertuiset path addition for a 2-connected graph.
+    // Returns the consistently oriented faces, or null if the graph is not planar.
+    // Given outerCycle (a cycle of the graph), nothing is placed on its far side, so it
+    // stays a face; null then means no planar embedding has that cycle as a face.
+    static embed(n, edges, outerCycle = null) {
+        const adj = PlanarLayout.adjacency(n, edges);
+        const key = (a, b) => Math.min(a, b) * n + Math.max(a, b);
+        const inH = new Uint8Array(n);
+        const embedded = new Set();
+        const faces = [];
+        const facesOf = Array.from({ length: n }, () => new Set());
+
+        const addFace = face => {
+            const id = faces.length;
+            faces.push(face);
+            for (const v of face) facesOf[v].add(id);
+        };
+        const embedPath = path => {
+            for (let k = 0; k < path.length; k++) {
+                inH[path[k]] = 1;
+                if (k > 0) embedded.add(key(path[k - 1], path[k]));
+            }
+        };
+
+        const cycle = outerCycle || PlanarLayout.findCycle(n, adj);
+        embedPath([...cycle, cycle[0]]);
+        addFace(cycle);
+        addFace([...cycle].reverse());
+        // Like an apex joined to every vertex of the cycle, which fills the far side
+        const closed = outerCycle ? 1 : -1;
+
+        while (embedded.size < edges.length) {
+            const fragments = PlanarLayout.findFragments(n, adj, edges, inH, embedded, key);
+
+            // Prefer a fragment with a single admissible face; none at all means non-planar
+            let chosen = null;
+            for (const fragment of fragments) {
+                const attachments = fragment.attachments;
+                let smallest = attachments[0];
+                for (const a of attachments) {
+                    if (facesOf[a].size < facesOf[smallest].size) smallest = a;
+                }
+                const admissible = [...facesOf[smallest]].filter(f => f !== closed && attachments.every(a => facesOf[a].has(f)));
+                if (admissible.length === 0) return null;
+                if (!chosen || admissible.length === 1) {
+                    chosen = { fragment, face: admissible[0] };
+                    if (admissible.length === 1) break;
+                }
+            }
+
+            const path = PlanarLayout.fragmentPath(adj, inH, chosen.fragment);
+            const face = faces[chosen.face];
+            const interior = path.slice(1, -1);
+            const i = face.indexOf(path[0]);
+            const j = face.indexOf(path[path.length - 1]);
+            const arc = (from, to) => {
+                const out = [];
+                for (let k = from; ; k = (k + 1) % face.length) {
+                    out.push(face[k]);
+                    if (k === to) return out;
+                }
+            };
+
+            for (const v of face) facesOf[v].delete(chosen.face);
+            faces[chosen.face] = null;
+            addFace([...arc(i, j), ...[...interior].reverse()]);
+            addFace([...arc(j, i), ...interior]);
+            embedPath(path);
+        }
+
+        return faces.filter(face => face !== null);
+    }
+
+    static findCycle(n, adj) {
+        const parent = new Int32Array(n).fill(-1);
+        const state = new Uint8Array(n); // 0 unseen, 1 on stack, 2 done
+        const next = new Int32Array(n);
+        const stack = [0];
+        state[0] = 1;
+        while (stack.length > 0) {
+            const v = stack[stack.length - 1];
+            if (next[v] < adj[v].length) {
+                const w = adj[v][next[v]++];
+                if (w === parent[v]) continue;
+                if (state[w] === 1) {
+                    const cycle = [];
+                    for (let u = v; u !== w; u = parent[u]) cycle.push(u);
+                    cycle.push(w);
+                    return cycle;
+                }
+                if (state[w] === 0) {
+                    parent[w] = v;
+                    state[w] = 1;
+                    stack.push(w);
+                }
+            } else {
+                state[v] = 2;
+                stack.pop();
+            }
+        }
+        return null;
+    }
+
+    // Fragments relative to the embedded subgraph H: single unembedded chords between H
+    // vertices, and components of G - H together with their attachment vertices
+    static findFragments(n, adj, edges, inH, embedded, key) {
+        const fragments = [];
+        for (const [a, b] of edges) {
+            if (inH[a] && inH[b] && !embedded.has(key(a, b))) {
+                fragments.push({ chord: [a, b], attachments: [a, b] });
+            }
+        }
+
+        const component = new Int32Array(n).fill(-1);
+        for (let s = 0; s < n; s++) {
+            if (inH[s] || component[s] !== -1) continue;
+            const id = fragments.length;
+            const attachments = new Set();
+            const queue = [s];
+            component[s] = id;
+            for (let q = 0; q < queue.length; q++) {
+                for (const w of adj[queue[q]]) {
+                    if (inH[w]) {
+                        attachments.add(w);
+                    } else if (component[w] === -1) {
+                        component[w] = id;
+                        queue.push(w);
+                    }
+                }
+            }
+            fragments.push({ start: s, component, id, attachments: [...attachments] });
+        }
+        return fragments;
+    }
+
+    // A path through the fragment between two distinct attachment vertices
+    static fragmentPath(adj, inH, fragment) {
+        if (fragment.chord) return fragment.chord;
+
+        const { component, id } = fragment;
+        const a = fragment.attachments[0];
+        const start = adj[a].find(w => !inH[w] && component[w] === id);
+        const previous = new Map([[start, -1]]);
+        const queue = [start];
+        for (let q = 0; q < queue.length; q++) {
+            const v = queue[q];
+            const exit = adj[v].find(w => inH[w] && w !== a);
+            if (exit !== undefined) {
+                const path = [exit];
+                for (let u = v; u !== -1; u = previous.get(u)) path.push(u);
+                path.push(a);
+                return path.reverse();
+            }
+            for (const w of adj[v]) {
+                if (!inH[w] && component[w] === id && !previous.has(w)) {
+                    previous.set(w, v);
+                    queue.push(w);
+                }
+            }
+        }
+        return null; // Unreachable for 2-connected graphs
+    }
+
+    // Tutte barycentric drawing: the outer cycle is pinned on a circle and every other
+    // vertex sits at the average of its neighbours. Interior faces longer than a triangle
+    // get a temporary centre vertex so the solve works on a triangulated disk.
+    static tutte(n, edges, outerCycle, faces, radius) {
+        const adj = PlanarLayout.adjacency(n, edges);
+        const outer = new Set(outerCycle);
+        const outerKey = [...outerCycle].sort((a, b) => a - b).join(',');
+        for (const face of faces) {
+            if (face.length <= 3 || [...face].sort((a, b) => a - b).join(',') === outerKey) continue;
+            const centre = adj.length;
+            adj.push([...face]);
+            for (const v of face) adj[v].push(centre);
+        }
+
+        const total = adj.length;
+        const fixed = new Array(total).fill(null);
+        outerCycle.forEach((v, k) => {
+            const angle = -Math.PI / 2 + (2 * Math.PI * k) / outerCycle.length;
+            fixed[v] = { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+        });
+
+        const xs = PlanarLayout.solveBarycentric(adj, fixed, 'x');
+        const ys = PlanarLayout.solveBarycentric(adj, fixed, 'y');
+        const points = [];
+        for (let v = 0; v < n; v++) {
+            points.push(outer.has(v) ? { ...fixed[v] } : { x: xs[v], y: ys[v] });
+        }
+        return points;
+    }
+
+    // Conjugate gradient on the Laplacian restricted to the free vertices
+    static solveBarycentric(adj, fixed, axis) {
+        const total = adj.length;
+        const x = new Float64Array(total);
+        const b = new Float64Array(total);
+        for (let v = 0; v < total; v++) {
+            if (fixed[v]) {
+                x[v] = fixed[v][axis];
+                continue;
+            }
+            for (const w of adj[v]) {
+                if (fixed[w]) b[v] += fixed[w][axis];
+            }
+        }
+
+        const applyA = (p, out) => {
+            for (let v = 0; v < total; v++) {
+                if (fixed[v]) {
+                    out[v] = 0;
+                    continue;
+                }
+                let sum = adj[v].length * p[v];
+                for (const w of adj[v]) {
+                    if (!fixed[w]) sum -= p[w];
+                }
+                out[v] = sum;
+            }
+        };
+
+        const free = new Float64Array(total);
+        const r = Float64Array.from(b);
+        const p = Float64Array.from(r);
+        const Ap = new Float64Array(total);
+        const dot = (u, w) => {
+            let s = 0;
+            for (let v = 0; v < total; v++) s += u[v] * w[v];
+            return s;
+        };
+
+        let rs = dot(r, r);
+        const tolerance = 1e-20 * Math.max(1, rs);
+        for (let iter = 0; iter < 4 * total && rs > tolerance; iter++) {
+            applyA(p, Ap);
+            const alpha = rs / dot(p, Ap);
+            for (let v = 0; v < total; v++) {
+                free[v] += alpha * p[v];
+                r[v] -= alpha * Ap[v];
+            }
+            const rsNext = dot(r, r);
+            for (let v = 0; v < total; v++) p[v] = r[v] + (rsNext / rs) * p[v];
+            rs = rsNext;
+        }
+
+        for (let v = 0; v < total; v++) {
+            if (!fixed[v]) x[v] = free[v];
+        }
+        return x;
+    }
+}
+
+// PLANAR EMBEDDING - the combinatorial map behind the drawing as a rotation system: every
+// vertex's neighbours in clockwise screen order, plus one dart (directed edge) on the outer
+// face. Faces are traced from the rotation alone, so they stay well defined while a drag
+// leaves the drawing crossing itself.
+class PlanarEmbedding {
+    constructor(rotation, outerDart) {
+        this.rotation = rotation;     // vertex index -> neighbour indices, clockwise
+        this.outerDart = outerDart;   // [from, to]; its face is traced in periphery order
+    }
+
+    // Embedding read off the drawing, or a computed one if the drawing crosses itself.
+    // A drawn embedding keeps the drawing's outer face; a computed one takes the periphery
+    // when that is a face, else the largest face.
+    // Returns null for a graph with no planar embedding.
+    static build(points, edges, periphery) {
+        const n = points.length;
+        let embedding = new PlanarEmbedding(PlanarLayout.rotationFromPositions(points, edges), null);
+        let faces = embedding.faces();
+        let drawn = true;
+        if (faces.length !== edges.length - n + 2) {
+            faces = PlanarLayout.embed(n, edges);
+            if (!faces) return null;
+            embedding = new PlanarEmbedding(PlanarEmbedding.rotationFromFaces(n, faces), null);
+            drawn = false;
+        }
+
+        let outer;
+        if (drawn) {
+            // The drawing decides which face is outside; a periphery naming another face
+            // is stale. When it agrees, start from periphery[0] so it reads back the same.
+            outer = PlanarLayout.outerFace(points, faces);
+            if (PlanarEmbedding.sameCycle(outer, periphery)) outer = periphery;
+        } else {
+            // Start from periphery[0] so the periphery reads back in the same rotation
+            outer = faces.some(face => PlanarEmbedding.sameCycle(face, periphery)) ? periphery : null;
+            if (!outer && faces.some(face => PlanarEmbedding.sameCycle(face, [...periphery].reverse()))) {
+                // A computed embedding may come out mirrored
+                embedding.mirror();
+                outer = periphery;
+            }
+            if (!outer) {
+                outer = faces.reduce((best, face) => (face.length > best.length ? face : best), faces[0]);
+                // Keep the outer face running the same way as a clockwise periphery
+                if (PlanarLayout.signedArea(points, outer) > 0) {
+                    embedding.mirror();
+                    outer = [...outer].reverse();
+                }
+            }
+        }
+        embedding.outerDart = [outer[0], outer[1]];
+        return embedding;
+    }
+
+    // In a traced face a -> b -> c, c comes just before a around b
+    static rotationFromFaces(n, faces) {
+        const successor = Array.from({ length: n }, () => new Map());
+        for (const face of faces) {
+            for (let k = 0; k < face.length; k++) {
+                const a = face[k];
+                const b = face[(k + 1) % face.length];
+                const c = face[(k + 2) % face.length];
+                successor[b].set(c, a);
+            }
+        }
+        return successor.map(next => {
+            const first = next.keys().next().value;
+            const order = [first];
+            for (let u = next.get(first); u !== first; u = next.get(u)) order.push(u);
+            return order;
+        });
+    }
+
+    // Do two vertex lists describe the same cycle, in the same direction?
+    static sameCycle(cycle, other) {
+        if (cycle.length !== other.length || cycle.length === 0) return false;
+        const start = cycle.indexOf(other[0]);
+        if (start === -1) return false;
+        return other.every((v, k) => cycle[(start + k) % cycle.length] === v);
+    }
+
+    // Neighbours of v sorted clockwise on screen by the drawing (angles computed once)
+    static sortAround(points, v, neighbors) {
+        const p = points[v];
+        return neighbors
+            .map(u => ({ u, angle: Math.atan2(points[u].y - p.y, points[u].x - p.x) }))
+            .sort((a, b) => a.angle - b.angle)
+            .map(entry => entry.u);
+    }
+
+    static fromState(state) {
+        return new PlanarEmbedding(state.rotation.map(neighbors => [...neighbors]), [...state.outerDart]);
+    }
+
+    getState() {
+        return { rotation: this.rotation.map(neighbors => [...neighbors]), outerDart: [...this.outerDart] };
+    }
+
+    neighbors(v) {
+        return [...this.rotation[v]];
+    }
+
+    // The dart after a -> b along its face: b -> the neighbour just before a around b
+    next(a, b) {
+        const around = this.rotation[b];
+        return around[(around.indexOf(a) - 1 + around.length) % around.length];
+    }
+
+    traceFace(a, b) {
+        const face = [];
+        let u = a, v = b;
+        do {
+            face.push(u);
+            const w = this.next(u, v);
+            u = v;
+            v = w;
+        } while (u !== a || v !== b);
+        return face;
+    }
+
+    faces() {
+        return PlanarLayout.facesFromRotation(this.rotation);
+    }
+
+    outerFace() {
+        return this.traceFace(this.outerDart[0], this.outerDart[1]);
+    }
+
+    // Reverse every rotation: the same map seen from behind
+    mirror() {
+        this.rotation.forEach(neighbors => neighbors.reverse());
+        if (this.outerDart) this.outerDart.reverse();
+    }
+
+    // Join the new vertex v to path, a stretch of the outer face in trace order: v takes
+    // the outer corner at each path vertex and the path's inner vertices leave the outer
+    // face. Purely combinatorial; attachableAt says where v may be drawn to match.
+    attachOutside(v, path) {
+        const outer = this.outerFace();
+        const position = new Map(outer.map((u, k) => [u, k]));
+        for (const u of path) {
+            // The outer corner at u opens just after its successor along the outer face
+            const around = this.rotation[u];
+            around.splice(around.indexOf(outer[(position.get(u) + 1) % outer.length]) + 1, 0, v);
+        }
+        this.rotation[v] = [...path];
+        this.outerDart = [v, path[path.length - 1]];
+    }
+
+    // Test for the positions p where a vertex joined to path by attachOutside would be
+    // drawn as recorded: p lies in the outer corner at every path vertex, the path runs
+    // round p in its rotation order, and the new outer face is still the unbounded one
+    // (wound like the old one) rather than a new triangle wrapped round the graph.
+    attachableAt(path, points) {
+        const outer = this.outerFace();
+        const m = outer.length;
+        const position = new Map(outer.map((u, k) => [u, k]));
+        const cross = (p, q) => p.x * q.y - q.x * p.y;
+        // prefix[k]: signed area sum of the outer edges before position k
+        const prefix = [0];
+        for (let k = 0; k < m; k++) {
+            prefix.push(prefix[k] + cross(points[outer[k]], points[outer[(k + 1) % m]]));
+        }
+        const first = path[0], last = path[path.length - 1];
+        const from = position.get(first), to = position.get(last);
+        const closed = to >= from ? prefix[to] - prefix[from] : prefix[m] - prefix[from] + prefix[to];
+        const orientation = Math.sign(prefix[m]);
+
+        const angle = (o, q) => Math.atan2(q.y - o.y, q.x - o.x);
+        // Clockwise on screen is increasing angle; how far round from a is q, in [0, 2pi)
+        const turn = (o, a, q) => ((angle(o, q) - angle(o, a)) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+        const corners = path.map(u => {
+            const around = this.rotation[u];
+            const successor = outer[(position.get(u) + 1) % m];
+            return { u, successor, after: around[(around.indexOf(successor) + 1) % around.length] };
+        });
+
+        return p => {
+            for (const { u, successor, after } of corners) {
+                const o = points[u];
+                const t = turn(o, points[successor], p);
+                if (t === 0 || t >= turn(o, points[successor], points[after])) return false;
+            }
+            const around = [...path].sort((a, b) => angle(p, points[a]) - angle(p, points[b]));
+            if (!PlanarEmbedding.sameCycle(around, path)) return false;
+            const area = prefix[m] - closed + cross(points[first], p) + cross(p, points[last]);
+            return Math.sign(area) === orientation;
+        };
+    }
+
+    // Re-read the order around v and its neighbours from the drawing after v moved. The
+    // change is kept only if the result is still a planar map; the outer face is then the
+    // largest one. Returns whether anything changed.
+    realign(v, points, edgeCount) {
+        const touched = [v, ...this.rotation[v]];
+        const before = touched.map(u => this.rotation[u]);
+        const after = touched.map(u => PlanarEmbedding.sortAround(points, u, this.rotation[u]));
+        if (after.every((neighbors, k) => PlanarEmbedding.sameCycle(neighbors, before[k]))) return false;
+
+        touched.forEach((u, k) => { this.rotation[u] = after[k]; });
+        const faces = this.faces();
+        if (faces.length !== edgeCount - this.rotation.length + 2) {
+            touched.forEach((u, k) => { this.rotation[u] = before[k]; });
+            return false;
+        }
+        const outer = PlanarLayout.outerFace(points, faces);
+        this.outerDart = [outer[0], outer[1]];
+        return true;
+    }
+
+    // Take out outer face vertex v, the inverse of attachOutside: its inner faces join the
+    // outer face. Vertices above v shift down one index.
+    detachOutside(v) {
+        const outer = this.outerFace();
+        const k = outer.indexOf(v);
+        const m = outer.length;
+        // The dart two steps before v along the outer face is still on it afterwards
+        const dart = [outer[(k - 2 + m) % m], outer[(k - 1 + m) % m]];
+        const shift = u => (u > v ? u - 1 : u);
+        this.rotation.splice(v, 1);
+        this.rotation = this.rotation.map(neighbors => neighbors.filter(u => u !== v).map(shift));
+        this.outerDart = dart.map(shift);
+    }
+
+    // Swap edge a-b, with triangles a-b-c and b-a-d beside it, for c-d. Around c, a comes
+    // just before b and d goes in between; around d the same with b before a.
+    flip(a, b, c, d) {
+        this.rotation[a].splice(this.rotation[a].indexOf(b), 1);
+        this.rotation[b].splice(this.rotation[b].indexOf(a), 1);
+        this.rotation[c].splice(this.rotation[c].indexOf(b), 0, d);
+        this.rotation[d].splice(this.rotation[d].indexOf(a), 0, c);
+    }
+
+    // Is the order around each of these vertices the one the drawing shows?
+    matchesDrawing(vertices, points) {
+        return vertices.every(v =>
+            PlanarEmbedding.sameCycle(PlanarEmbedding.sortAround(points, v, this.rotation[v]), this.rotation[v]));
+    }
+}
+
+// SCHNYDER WOOD - the three-tree realizer of a triangulation and its grid drawing.
+// Tree i is rooted at outer vertex a_i and every inner vertex has exactly one outgoing
+// edge in each tree; counting the vertices in the three regions cut out by a vertex's
+// tree paths gives its barycentric grid coordinates (Schnyder 1990).
+class SchnyderWood {
+    // Add a vertex inside each given face, joined to all of its corners, so a planar map
+    // whose faces are these plus triangles becomes a triangulation. Returns the new
+    // rotation and the added vertex per face.
+    static stellate(rotation, faces) {
+        const stellated = rotation.map(neighbors => [...neighbors]);
+        const centres = faces.map(face => {
+            const centre = stellated.length;
+            face.forEach((u, k) => {
+                // The corner at u opens just after its successor along the face
+                const around = stellated[u];
+                around.splice(around.indexOf(face[(k + 1) % face.length]) + 1, 0, centre);
+            });
+            stellated.push([...face]);
+            return centre;
+        });
+        return { rotation: stellated, centres };
+    }
+
+    // Realizer of the triangulation with outer face [a0, a1, a2], found by peeling a
+    // canonical order off from a0: each removed vertex points to its two outer neighbours
+    // in trees 1 and 2, and the vertices it uncovers point to it in tree 0.
+    // Returns { parent: [tree0, tree1, tree2], order } with parent -1 at the roots, or null.
+    static compute(rotation, outer) {
+        const n = rotation.length;
+        const [a0, a1, a2] = outer;
+        const parent = [0, 1, 2].map(() => new Int32Array(n).fill(-1));
+        const order = new Int32Array(n);
+        order[a1] = 0;
+        order[a2] = 1;
+        order[a0] = n - 1;
+        if (n === 3) return { parent, order };
+
+        const removed = new Uint8Array(n);
+        const onBoundary = new Uint8Array(n);
+        const prev = new Int32Array(n).fill(-1);
+        const next = new Int32Array(n).fill(-1);
+        const chords = new Int32Array(n);
+        const isChord = (u, w) => onBoundary[w] && w !== prev[u] && w !== next[u] &&
+            !((u === a1 && w === a2) || (u === a2 && w === a1));
+
+        // Neighbours of u still present, in boundary order from p to q: walk around u
+        // from p away from the face already peeled off
+        const uncovered = (u, p, q) => {
+            const around = rotation[u];
+            const deg = around.length;
+            const at = around.indexOf(p);
+            const blocked = w => removed[w] || (u === a0 && w === q);
+            const step = blocked(around[(at + 1) % deg]) ? deg - 1 : 1;
+            const path = [];
+            for (let k = (at + step) % deg; around[k] !== q; k = (k + step) % deg) path.push(around[k]);
+            return path;
+        };
+
+        const candidates = [];
+        const offer = u => {
+            if (u !== a1 && u !== a2 && chords[u] === 0) candidates.push(u);
+        };
+        const peel = (u, p, q) => {
+            const exposed = uncovered(u, p, q);
+            removed[u] = 1;
+            onBoundary[u] = 0;
+            exposed.forEach(w => { parent[0][w] = u; });
+
+            let last = p;
+            for (const w of exposed) {
+                onBoundary[w] = 1;
+                prev[w] = last;
+                next[last] = w;
+                last = w;
+            }
+            next[last] = q;
+            prev[q] = last;
+
+            if (exposed.length === 0 && !(p === a1 && q === a2)) {
+                // p-q closes the triangle at u, so it is a boundary edge now, not a chord
+                chords[p]--;
+                chords[q]--;
+            }
+            const fresh = new Set(exposed);
+            for (const w of exposed) {
+                for (const x of rotation[w]) {
+                    if (!isChord(w, x)) continue;
+                    chords[w]++;
+                    if (!fresh.has(x)) chords[x]++;
+                }
+            }
+            [p, q, ...exposed].forEach(offer);
+        };
+
+        onBoundary[a1] = onBoundary[a2] = 1;
+        next[a1] = a2;
+        prev[a2] = a1;
+        peel(a0, a1, a2);
+
+        for (let k = n - 2; k >= 2; k--) {
+            let u = candidates.pop();
+            while (u !== undefined && (removed[u] || !onBoundary[u] || chords[u] !== 0)) u = candidates.pop();
+            if (u === undefined) return null; // Not a triangulation
+            const p = prev[u];
+            const q = next[u];
+            order[u] = k;
+            parent[1][u] = p;
+            parent[2][u] = q;
+            peel(u, p, q);
+        }
+        return { parent, order };
+    }
+
+    // Grid coordinates [x0, x1, x2] per vertex, each summing to n - 1: x_i is the number of
+    // vertices in the region opposite a_i, less those on the path towards a_(i-1). The
+    // outer vertices sit at the corners (n-2, 1, 0), (0, n-2, 1) and (1, 0, n-2).
+    static coordinates(wood, outer) {
+        const { parent, order } = wood;
+        const n = order.length;
+        const byOrder = new Int32Array(n);
+        for (let v = 0; v < n; v++) byOrder[order[v]] = v;
+        // Tree 0 points up the canonical order, trees 1 and 2 down it
+        const leavesFirst = i => (i === 0 ? k => byOrder[k] : k => byOrder[n - 1 - k]);
+        const rootFirst = i => (i === 0 ? k => byOrder[n - 1 - k] : k => byOrder[k]);
+
+        const size = [0, 1, 2].map(i => {
+            const t = new Int32Array(n).fill(1);
+            const at = leavesFirst(i);
+            for (let k = 0; k < n; k++) {
+                const v = at(k);
+                if (parent[i][v] !== -1) t[parent[i][v]] += t[v];
+            }
+            return t;
+        });
+        // along[i][j][v]: sum of size[j] over the tree-i path from v to its root;
+        // depth[i][v]: number of vertices on that path
+        const along = [0, 1, 2].map(() => [0, 1, 2].map(() => new Float64Array(n)));
+        const depth = [0, 1, 2].map(() => new Int32Array(n));
+        for (let i = 0; i < 3; i++) {
+            const at = rootFirst(i);
+            for (let k = 0; k < n; k++) {
+                const v = at(k);
+                const up = parent[i][v];
+                depth[i][v] = 1 + (up === -1 ? 0 : depth[i][up]);
+                for (let j = 0; j < 3; j++) along[i][j][v] = size[j][v] + (up === -1 ? 0 : along[i][j][up]);
+            }
+        }
+
+        const coords = [];
+        for (let v = 0; v < n; v++) {
+            coords.push([0, 1, 2].map(i => {
+                const after = (i + 1) % 3;
+                const before = (i + 2) % 3;
+                // Every vertex of the region hangs in tree i off one of its two boundary paths
+                const region = along[after][i][v] + along[before][i][v] - size[i][v];
+                return region - depth[before][v];
+            }));
+        }
+        outer.forEach((a, i) => {
+            const corner = [0, 0, 0];
+            corner[i] = n - 2;
+            corner[(i + 1) % 3] = 1;
+            coords[a] = corner;
+        });
+        return coords;
+    }
+}
+
+// FORCE RELAXATION - force-directed moves that keep the drawing planar, after ImPrEd
+// (Simonetto et al. 2011). Forces propose a move for every vertex; each move is then cut
+// short so that no vertex can approach an edge or another vertex past the placement
+// spacing, whatever the other vertices do in the same step.
+const RELAX_EDGE_LENGTH = 120;     // ideal edge length for the spring and repulsion forces
+const RELAX_MAX_STEP = 8;          // px a vertex may travel per step
+const RELAX_RATE = 0.05;           // px moved per unit of force, so moves fade out near balance
+const RELAX_MIN_MOVE = 1e-3;       // px; smaller moves are skipped as settled
+const RELAX_VERTEX_SPACING = 50;   // as validateBasicPosition
+const RELAX_EDGE_SPACING = 30;     // as validateBasicPosition
+
+class ForceRelaxation {
+    // Closest point of segment a-b to p, with its distance
+    static closestOnSegment(p, a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lenSq = dx * dx + dy * dy;
+        const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq));
+        const point = { x: a.x + t * dx, y: a.y + t * dy };
+        return { point, t, distance: Math.hypot(p.x - point.x, p.y - point.y) };
+    }
+
+    // Spring attraction along edges, repulsion from nearby vertices and from nearby edges
+    // the vertex faces (ImPrEd's three forces), summed for each vertex in movers
+    static forces(points, edges, index, movers) {
+        const delta = RELAX_EDGE_LENGTH;
+        return movers.map(v => {
+            const p = points[v];
+            const force = { x: 0, y: 0 };
+            for (const k of index.incident[v]) {
+                const [a, b] = edges[k];
+                const q = points[a === v ? b : a];
+                const dx = q.x - p.x, dy = q.y - p.y;
+                const d = Math.hypot(dx, dy);
+                force.x += dx * d / delta;
+                force.y += dy * d / delta;
+            }
+            const reach = 2 * delta;
+            for (const u of index.queryVertices(p.x - reach, p.y - reach, p.x + reach, p.y + reach)) {
+                if (u === v) continue;
+                const dx = p.x - points[u].x, dy = p.y - points[u].y;
+                const dSq = dx * dx + dy * dy;
+                if (dSq === 0 || dSq > reach * reach) continue;
+                force.x += dx * delta * delta / dSq;
+                force.y += dy * delta * delta / dSq;
+            }
+            for (const k of index.queryEdges(p.x - delta, p.y - delta, p.x + delta, p.y + delta)) {
+                const [a, b] = edges[k];
+                if (a === v || b === v) continue;
+                const { point, t, distance } = ForceRelaxation.closestOnSegment(p, points[a], points[b]);
+                // Only edges v projects onto; the endpoints already repel as vertices
+                if (t <= 0 || t >= 1 || distance === 0 || distance >= delta) continue;
+                const push = (delta - distance) * (delta - distance) / distance;
+                force.x += (p.x - point.x) / distance * push;
+                force.y += (p.y - point.y) / distance * push;
+            }
+            return force;
+        });
+    }
+
+    // Cut every proposed move short where it could break a spacing. For a vertex v at
+    // distance d from a segment (or a vertex), n the unit vector from the closest point
+    // to v: the segment stays on its side of the line through that point, so the gap is
+    // at least d plus v's move along n less the endpoints' moves along n. Each mover may
+    // therefore close in by half the slack above the spacing, or not at all once inside
+    // it. Moves away or sideways are free. moves is indexed by vertex and holds only the
+    // movers; every other vertex stands still. Returns the fraction of its move each
+    // vertex keeps.
+    static limits(points, edges, index, moves) {
+        const keep = new Float64Array(points.length).fill(1);
+        const limit = (w, nx, ny, slack) => {
+            const move = moves.get(w);
+            if (!move) return;
+            const approach = move.x * nx + move.y * ny;
+            if (approach > slack) keep[w] = Math.min(keep[w], slack / approach);
+        };
+        const near = RELAX_EDGE_SPACING + 2 * RELAX_MAX_STEP;
+        const edgeLimit = (v, a, b) => {
+            const { point, distance } = ForceRelaxation.closestOnSegment(points[v], points[a], points[b]);
+            if (distance === 0) return;
+            const nx = (points[v].x - point.x) / distance, ny = (points[v].y - point.y) / distance;
+            const slack = Math.max(0, distance - RELAX_EDGE_SPACING) / 2;
+            limit(v, -nx, -ny, slack);
+            limit(a, nx, ny, slack);
+            limit(b, nx, ny, slack);
+        };
+        for (const v of moves.keys()) {
+            const p = points[v];
+            const reach = RELAX_VERTEX_SPACING + 2 * RELAX_MAX_STEP;
+            for (const u of index.queryVertices(p.x - reach, p.y - reach, p.x + reach, p.y + reach)) {
+                if (u === v || (u < v && moves.has(u))) continue;
+                const d = Math.hypot(p.x - points[u].x, p.y - points[u].y);
+                if (d === 0) continue;
+                const nx = (p.x - points[u].x) / d, ny = (p.y - points[u].y) / d;
+                const slack = Math.max(0, d - RELAX_VERTEX_SPACING) / 2;
+                limit(v, -nx, -ny, slack);
+                limit(u, nx, ny, slack);
+            }
+            for (const k of index.queryEdges(p.x - near, p.y - near, p.x + near, p.y + near)) {
+                const [a, b] = edges[k];
+                if (a !== v && b !== v) edgeLimit(v, a, b);
+            }
+            // Still vertices near v's own edges; the movers among them were covered above
+            if (moves.size === points.length) continue;
+            for (const k of index.incident[v]) {
+                const [a, b] = edges[k];
+                for (const w of index.queryVerticesNear(points[a], points[b])) {
+                    if (w !== a && w !== b && !moves.has(w)) edgeLimit(w, a, b);
+                }
+            }
+        }
+        return keep;
+    }
+
+    // One relaxation step: the new position of each vertex in movers, in the same order.
+    // state.heat holds each vertex's step limit and state.last its previous move; a vertex
+    // that turns back cools down and one that keeps its course warms up again, which
+    // damps oscillation.
+    static step(points, edges, index, state, movers) {
+        const force = ForceRelaxation.forces(points, edges, index, movers);
+        const moves = new Map();
+        force.forEach((f, k) => {
+            const v = movers[k];
+            const length = Math.hypot(f.x, f.y);
+            const last = state.last[v];
+            if (last && f.x * last.x + f.y * last.y < 0) {
+                state.heat[v] = Math.max(RELAX_MIN_MOVE, state.heat[v] / 2);
+            } else {
+                state.heat[v] = Math.min(RELAX_MAX_STEP, state.heat[v] * 1.2);
+            }
+            const size = Math.min(length * RELAX_RATE, state.heat[v]);
+            moves.set(v, size < RELAX_MIN_MOVE ? { x: 0, y: 0 } : { x: f.x / length * size, y: f.y / length * size });
+        });
+        const keep = ForceRelaxation.limits(points, edges, index, moves);
+        return movers.map(v => {
+            const move = { x: moves.get(v).x * keep[v], y: moves.get(v).y * keep[v] };
+            state.last[v] = move;
+            return { x: points[v].x + move.x, y: points[v].y + move.y };
+        });
+    }
+}
+
+// MOVE REGION - where a dragged vertex may go, sampled on a square grid. Only the cells
+// connected to the start are kept, so the vertex can get anywhere in the region without
+// passing through a position that was refused.
+const REGION_MAX_CELLS = 6000;     // keeps sampling a region to a fraction of a second
+
+class MoveRegion {
+    constructor(minX, minY, step, columns, rows) {
+        this.minX = minX;
+        this.minY = minY;
+        this.step = step;
+        this.columns = columns;
+        this.rows = rows;
+        this.inside = new Uint8Array(columns * rows); // row-major, 1 for cells in the region
+    }
+
+    // Flood fill from start over the cells whose centres accept(point) allows, within
+    // bounds { minX, minY, maxX, maxY }. The step grows if the bounds need too many cells.
+    static sample(accept, start, bounds, step) {
+        const width = bounds.maxX - bounds.minX, height = bounds.maxY - bounds.minY;
+        step = Math.max(step, Math.sqrt(width * height / REGION_MAX_CELLS));
+        const region = new MoveRegion(bounds.minX, bounds.minY, step,
+            Math.max(1, Math.ceil(width / step)), Math.max(1, Math.ceil(height / step)));
+        const seen = new Uint8Array(region.columns * region.rows);
+        const queue = [];
+        const visit = (col, row) => {
+            if (col < 0 || row < 0 || col >= region.columns || row >= region.rows) return;
+            const cell = row * region.columns + col;
+            if (seen[cell]) return;
+            seen[cell] = 1;
+            if (!accept(region.centre(cell))) return;
+            region.inside[cell] = 1;
+            queue.push(cell);
+        };
+        // The start cell's centre may itself be refused while a neighbour is fine
+        const col = Math.floor((start.x - region.minX) / step), row = Math.floor((start.y - region.minY) / step);
+        for (let dc = -1; dc <= 1; dc++) {
+            for (let dr = -1; dr <= 1; dr++) visit(col + dc, row + dr);
+        }
+        for (let q = 0; q < queue.length; q++) {
+            const c = queue[q] % region.columns, r = Math.floor(queue[q] / region.columns);
+            visit(c + 1, r);
+            visit(c - 1, r);
+            visit(c, r + 1);
+            visit(c, r - 1);
+        }
+        return region;
+    }
+
+    centre(cell) {
+        return {
+            x: this.minX + (cell % this.columns + 0.5) * this.step,
+            y: this.minY + (Math.floor(cell / this.columns) + 0.5) * this.step
+        };
+    }
+
+    isEmpty() {
+        return !this.inside.includes(1);
+    }
+
+    contains(p) {
+        const col = Math.floor((p.x - this.minX) / this.step), row = Math.floor((p.y - this.minY) / this.step);
+        if (col < 0 || row < 0 || col >= this.columns || row >= this.rows) return false;
+        return this.inside[row * this.columns + col] === 1;
+    }
+
+    // Centre of the region cell closest to p, or null for an empty region
+    nearest(p) {
+        let best = null, bestDistance = Infinity;
+        this.inside.forEach((flag, cell) => {
+            if (!flag) return;
+            const c = this.centre(cell);
+            const d = (c.x - p.x) ** 2 + (c.y - p.y) ** 2;
+            if (d < bestDistance) {
+                best = c;
+                bestDistance = d;
+            }
+        });
+        return best;
+    }
+
+    // Centres of every cell in the region, for drawing it
+    cells() {
+        const result = [];
+        this.inside.forEach((flag, cell) => {
+            if (flag) result.push(this.centre(cell));
+        });
+        return result;
+    }
+}
+
+// VERTEX COLORING - proper colorings of index-based graphs; at most 4 colors on a planar graph
+class VertexColoring {
+    // Smallest-last order: repeatedly remove a minimum-degree vertex. Coloring in the
+    // reverse of this order sees at most 5 colored neighbors per vertex in a planar graph.
+    static degeneracyOrder(n, adj) {
+        const degree = adj.map(list => list.length);
+        const maxDegree = Math.max(0, ...degree);
+        const buckets = Array.from({ length: maxDegree + 1 }, () => new Set());
+        for (let v = 0; v < n; v++) buckets[degree[v]].add(v);
+
+        const removed = new Uint8Array(n);
+        const order = [];
+        let low = 0;
+        while (order.length < n) {
+            low = Math.max(0, low - 1);
+            while (buckets[low].size === 0) low++;
+            const v = buckets[low].values().next().value;
+            buckets[low].delete(v);
+            removed[v] = 1;
+            order.push(v);
+            for (const u of adj[v]) {
+                if (removed[u]) continue;
+                buckets[degree[u]].delete(u);
+                degree[u]--;
+                buckets[degree[u]].add(u);
+            }
+        }
+        return order.reverse();
+    }
+
+    static smallestFreeColor(adj, colors, v) {
+        const used = new Set();
+        for (const u of adj[v]) {
+            if (colors[u] >= 0) used.add(colors[u]);
+        }
+        let color = 0;
+        while (used.has(color)) color++;
+        return color;
+    }
+
+    // Fast coloring in degeneracy order; at most 6 colors on a planar graph
+    static greedy(n, adj) {
+        const colors = new Array(n).fill(-1);
+        for (const v of VertexColoring.degeneracyOrder(n, adj)) {
+            colors[v] = VertexColoring.smallestFreeColor(adj, colors, v);
+        }
+        return colors;
+    }
+
+    // Vertices reachable from start through vertices colored a or b
+    static kempeChain(adj, colors, start, a, b) {
+        const chain = [start];
+        const seen = new Set(chain);
+        for (let k = 0; k < chain.length; k++) {
+            for (const u of adj[chain[k]]) {
+                if (!seen.has(u) && (colors[u] === a || colors[u] === b)) {
+                    seen.add(u);
+                    chain.push(u);
+                }
+            }
+        }
+        return chain;
+    }
+
+    static swapChain(colors, chain, a, b) {
+        for (const u of chain) {
+            colors[u] = colors[u] === a ? b : a;
+        }
+    }
+
+    // Plan how to give the uncolored vertex v one of the colors 0..k-1 without changing
+    // the input: take a free color, or else swap one Kempe chain among its neighbors.
+    // Every chain tried is recorded so the repair can be replayed step by step.
+    static planKempeRepair(adj, colors, v, k = 4) {
+        const work = colors.slice();
+        work[v] = -1;
+        const steps = [];
+        const assign = color => ({ kind: 'assign', vertex: v, color, changes: [{ vertex: v, from: -1, to: color }] });
+
+        const free = VertexColoring.smallestFreeColor(adj, work, v);
+        if (free < k) {
+            return { success: true, steps: [assign(free)] };
+        }
+
+        for (let a = 0; a < k; a++) {
+            for (let b = 0; b < k; b++) {
+                if (a === b) continue;
+                const start = adj[v].find(u => work[u] === a);
+                if (start === undefined) continue;
+
+                // Swapping frees a only if the chain carries every a-colored neighbor and no b-colored one
+                const chain = VertexColoring.kempeChain(adj, work, start, a, b);
+                const inChain = new Set(chain);
+                const blocker = adj[v].find(u =>
+                    (work[u] === a && !inChain.has(u)) || (work[u] === b && inChain.has(u)));
+                if (blocker !== undefined) {
+                    steps.push({ kind: 'blocked', a, b, start, chain, blocker, changes: [] });
+                    continue;
+                }
+
+                const changes = chain.map(u => ({ vertex: u, from: work[u], to: work[u] === a ? b : a }));
+                steps.push({ kind: 'swap', a, b, start, chain, changes });
+                steps.push(assign(a));
+                return { success: true, steps };
+            }
+        }
+        return { success: false, steps };
+    }
+
+    static applySteps(colors, steps) {
+        for (const step of steps) {
+            for (const { vertex, to } of step.changes) {
+                colors[vertex] = to;
+            }
+        }
+    }
+
+    // Give the uncolored vertex v one of the colors 0..k-1, swapping one Kempe chain
+    // among its neighbors if every color is taken. Returns false if no single swap works.
+    static colorWithKempe(adj, colors, v, k = 4) {
+        const plan = VertexColoring.planKempeRepair(adj, colors, v, k);
+        if (!plan.success) return false;
+        colors[v] = -1;
+        VertexColoring.applySteps(colors, plan.steps);
+        return true;
+    }
+
+    // Exact search (DSATUR order with backtracking). Only used when Kempe swaps get stuck;
+    // the Four Color Theorem guarantees it succeeds on a planar graph.
+    static backtrack(n, adj, k = 4) {
+        const colors = new Array(n).fill(-1);
+        const saturation = () => {
+            let best = -1, bestSat = -1, bestDeg = -1;
+            for (let v = 0; v < n; v++) {
+                if (colors[v] !== -1) continue;
+                const sat = new Set(adj[v].filter(u => colors[u] !== -1).map(u => colors[u])).size;
+                if (sat > bestSat || (sat === bestSat && adj[v].length > bestDeg)) {
+                    best = v; bestSat = sat; bestDeg = adj[v].length;
+                }
+            }
+            return best;
+        };
+
+        const stack = [];
+        let v = saturation();
+        let color = 0;
+        while (v !== -1) {
+            while (color < k && adj[v].some(u => colors[u] === color)) color++;
+            if (color < k) {
+                colors[v] = color;
+                stack.push(v);
+                v = saturation();
+                color = 0;
+            } else {
+                if (stack.length === 0) return null;
+                v = stack.pop();
+                color = colors[v] + 1;
+                colors[v] = -1;
+            }
+        }
+        return colors;
+    }
+
+    static fourColor(n, adj) {
+        const colors = new Array(n).fill(-1);
+        for (const v of VertexColoring.degeneracyOrder(n, adj)) {
+            if (!VertexColoring.colorWithKempe(adj, colors, v)) {
+                return VertexColoring.backtrack(n, adj);
+            }
+        }
+        return colors;
+    }
+
+    static verify(edges, colors) {
+        for (const [i, j] of edges) {
+            if (colors[i] < 0 || colors[j] < 0) {
+                return { valid: false, message: `Vertex index ${colors[i] < 0 ? i : j} has no color` };
+            }
+            if (colors[i] === colors[j]) {
+                return { valid: false, message: `Edge ${i}-${j} joins two vertices of color ${colors[i] + 1}` };
+            }
+        }
+        return { valid: true };
+    }
+
+    static countColors(colors) {
+        return new Set(colors).size;
+    }
+}
+
+// Export for CommonJS; in the browser the classes above are plain globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Graph, SeededRandom, RobustPredicates, SpatialGrid, CrossingSweep, PlanarLayout, PlanarEmbedding, SchnyderWood, ForceRelaxation, MoveRegion, VertexColoring };
+}
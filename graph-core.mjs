@@ -0,0 +1,5 @@
+// ES module entry for Node: re-exports the CommonJS build of graph-core.js
+import core from './graph-core.js';
+
+export const { Graph, SeededRandom, RobustPredicates, SpatialGrid, CrossingSweep, PlanarLayout, PlanarEmbedding, SchnyderWood, ForceRelaxation, MoveRegion, VertexColoring } = core;
+export default core;